@@ -8,6 +8,8 @@ import Nls from './nls.js';
  * @class Component
  * @extends Evented
  * @description Base class for evented components with localization.
+ * Components can be nested by setting their parent, bubbling events such
+ * as "error", "busy" and "idle" then reach the parent components.
  */
 export default class Component extends Evented {
   /**
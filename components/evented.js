@@ -1,11 +1,17 @@
 'use strict';
 
 import Core from '../tools/core.js';
+import Subscription from './subscription.js';
 
 /**
  * @module components/base/evented
  * @class Evented
  * @description Provides event handling for emitting and listening to events.
+ * Event types can be namespaced with ":" (e.g., "filter:change") and
+ * listeners can subscribe to a whole namespace ("filter:*") or to every
+ * event ("*"). Bubbling events travel up the parent chain after being
+ * dispatched on their target. The last event of a sticky type is delivered
+ * to listeners added after it was emitted.
  */
 export default class Evented {
   /**
@@ -15,12 +21,90 @@ export default class Evented {
    */
   #listeners;
 
+  /**
+   * @static
+   * @type {object|null}
+   * @description Tracer recording every emitted event, see Tracer.start().
+   */
+  static tracer = null;
+
+  /**
+   * @private
+   * @type {Evented|null}
+   * @description Parent receiving bubbling events.
+   */
+  #parent = null;
+
+  /**
+   * @private
+   * @type {Map<string, object|null>}
+   * @description Last event and origin emitted for each sticky type.
+   */
+  #sticky = new Map();
+
+  /**
+   * @private
+   * @type {object[]}
+   * @description Recently emitted events, kept for debugging.
+   */
+  #replay_buffer = [];
+
+  /**
+   * @private
+   * @type {number}
+   * @description Maximum size of the replay buffer, 0 disables it.
+   */
+  #replay_size = 0;
+
   /**
    * @getter
    * @returns {object} Event listeners by type.
    */
   get listeners() { return this.#listeners; }
 
+  /**
+   * @getter
+   * @returns {object[]} Copy of the recently emitted events, oldest first.
+   */
+  get replay_buffer() { return [...this.#replay_buffer]; }
+
+  /**
+   * @getter
+   * @returns {number} Maximum size of the replay buffer, 0 when disabled.
+   */
+  get replay_size() { return this.#replay_size; }
+
+  /**
+   * @setter
+   * @param {number} value - Maximum number of events to keep, 0 disables
+   * the replay buffer and clears it.
+   * @example
+   * state.replay_size = 50; // Keeps the last 50 events
+   */
+  set replay_size(value) {
+    this.#replay_size = Math.max(0, value || 0);
+    this.#replay_buffer.splice(0, this.#replay_buffer.length - this.#replay_size);
+  }
+
+  /**
+   * @getter
+   * @returns {Evented|null} Parent receiving bubbling events.
+   */
+  get parent() { return this.#parent; }
+
+  /**
+   * @setter
+   * @param {Evented|null} value - Parent receiving bubbling events.
+   * @throws {Error} If value is not an Evented or would create a cycle.
+   */
+  set parent(value) {
+    if (value != null && !(value instanceof Evented)) throw new Error("The parent of an Evented object must also be an Evented object.");
+    for (let p = value; p; p = p.parent) {
+      if (p === this) throw new Error("An Evented object cannot be its own ancestor.");
+    }
+    this.#parent = value ?? null;
+  }
+
   /**
    * @constructor
    * @description Initializes event listeners object.
@@ -34,53 +118,256 @@ export default class Evented {
   /**
    * @method #add_listener
    * @private
-   * @description Adds a listener for an event type.
-   * @param {string} type - Event type (e.g., "click").
+   * @description Adds a listener for an event type or a wildcard pattern.
+   * @param {string} type - Event type (e.g., "click", "filter:*" or "*").
    * @param {Function} callback - Callback function.
    * @param {boolean} once - If true, listener is single-use.
    * @param {object} [origin] - Event origin.
-   * @returns {object} Listener object.
+   * @param {AbortSignal} [signal] - Signal that removes the listener.
+   * @returns {Subscription} Listener object, dispose it to remove the listener.
    */
-  #add_listener(type, callback, once, origin) {
+  #add_listener(type, callback, once, origin, signal) {
+    const h = new Subscription(() => this.#remove_handle(h));
+    Core.mixin(h, { target: this, type: type, callback: callback, once: !!once, origin: origin || null });
+    if (signal?.aborted) return h.dispose_on(signal);
     if (!(type in this.listeners)) this.#listeners[type] = [];
-    const h = { target: this, type: type, callback: callback, once: !!once, origin: origin || null };
     this.#listeners[type].push(h);
-    return h;
+    this.#deliver_sticky(h);
+    return h.dispose_on(signal);
+  }
+
+  /**
+   * @method #deliver_sticky
+   * @private
+   * @description Delivers the stored sticky events matching a new listener.
+   * Delivered copies are new event objects, flagged as replayed and not
+   * cancelable, so listeners can't alter the stored event.
+   * @param {Subscription} h - Listener object that was just added.
+   */
+  #deliver_sticky(h) {
+    for (const [type, sticky] of this.#sticky) {
+      if (h.disposed) return;
+      if (!sticky || !Evented.matches(h.type, type)) continue;
+      if (!!h.origin && sticky.origin === h.origin) continue;
+      if (!!h.once) h.dispose();
+      const event = Core.mixin(this.#create_event(type, sticky.event), { cancelable: false, replayed: true });
+      this.#invoke(h, event);
+    }
+  }
+
+  /**
+   * @static
+   * @method matches
+   * @description Checks if an event type matches a listener type or pattern.
+   * @param {string} pattern - Listener type, "ns:*" or "*".
+   * @param {string} type - Event type.
+   * @returns {boolean} True if the listener receives events of that type.
+   * @example
+   * Evented.matches("filter:*", "filter:change"); // true
+   */
+  static matches(pattern, type) {
+    if (pattern === "*" || pattern === type) return true;
+    return pattern.endsWith(":*") && type.startsWith(pattern.slice(0, -1));
   }
 
   /**
    * @method #remove_listener
    * @private
-   * @description Removes a listener for an event type.
-   * @param {string} type - Event type (e.g., "click").
+   * @description Removes the listeners of an event type or a wildcard
+   * pattern that use a callback.
+   * @param {string} type - Event type (e.g., "click", "filter:*" or "*").
    * @param {Function} callback - Callback function to remove.
    */
   #remove_listener(type, callback) {
     let stack = this.listeners[type] || [];
-    for (let i = 0, l = stack.length; i < l; i++) {
-      if (stack[i].callback === callback) {
-        stack.splice(i, 1);
-        return this.#remove_listener(type, callback);
-      }
+    stack.filter(h => h.callback === callback).forEach(h => h.dispose());
+  }
+
+  /**
+   * @method #remove_handle
+   * @private
+   * @description Removes a single listener object, leaving other listeners
+   * that share its callback in place.
+   * @param {object} h - Listener object returned by on() or once().
+   */
+  #remove_handle(h) {
+    let stack = this.listeners[h.type] || [];
+    const i = stack.indexOf(h);
+    if (i > -1) stack.splice(i, 1);
+    if (h.type in this.listeners && stack.length == 0) delete this.#listeners[h.type];
+  }
+
+  /**
+   * @method #matching_listeners
+   * @private
+   * @description Collects listeners matching an event type. Exact listeners
+   * come first, then namespace wildcards from the most to the least specific
+   * (e.g., "filter:range:*" before "filter:*"), then the global "*".
+   * @param {string} type - Event type (e.g., "filter:change").
+   * @returns {object[]} Snapshot of matching listener objects.
+   */
+  #matching_listeners(type) {
+    const stack = [...(this.listeners[type] || [])];
+    const parts = type.split(":");
+    for (let i = parts.length - 1; i > 0; i--) {
+      const pattern = `${parts.slice(0, i).join(":")}:*`;
+      if (pattern !== type) stack.push(...(this.listeners[pattern] || []));
     }
+    if (type !== "*") stack.push(...(this.listeners["*"] || []));
+    return stack;
   }
 
   /**
    * @method #dispatch_event
    * @private
    * @description Calls listeners for an event and removes one-time listeners.
+   * Each listener is isolated, a listener that throws or rejects does not
+   * keep the others from running, its failure is reported instead.
    * @param {object} event - Event object.
    * @param {object} [origin] - Event origin.
+   * @param {object[]} [handled] - Receives the listener objects called.
+   * @returns {Array} Values returned by the listeners, in call order.
    */
-  #dispatch_event(event, origin) {
-    let stack = this.listeners[event.type] || [];
+  #dispatch_event(event, origin, handled) {
+    let stack = this.#matching_listeners(event.type);
+    const results = [];
     for (let i = 0; i < stack.length; i++) {
-      if (!!stack[i].origin && origin === stack[i].origin) continue;
-      stack[i].callback.call(this, event);
+      const h = stack[i];
+      if (!!h.origin && origin === h.origin) continue;
+      if (!!h.once) h.dispose();
+      handled?.push(h);
+      results.push(this.#invoke(h, event));
+    }
+    return results;
+  }
+
+  /**
+   * @method #invoke
+   * @private
+   * @description Calls a single listener, reporting its failure instead of
+   * throwing or rejecting.
+   * @param {Subscription} h - Listener object.
+   * @param {object} event - Event object.
+   * @returns {*} Value returned by the listener.
+   */
+  #invoke(h, event) {
+    try {
+      const result = h.callback.call(this, event);
+      if (typeof result?.then != "function") return result;
+      return Promise.resolve(result).catch(error => this.#report_listener_error(error, event, h));
+    } catch (error) {
+      return this.#report_listener_error(error, event, h);
     }
-    for (let i = stack.length - 1; i >= 0; i--) {
-      if (!!stack[i].once) this.#remove_listener(event.type, stack[i].callback);
+  }
+
+  /**
+   * @method #report_listener_error
+   * @private
+   * @description Emits a "listener-error" event for a failed listener. The
+   * error is logged when no listener handles it, or when a "listener-error"
+   * listener fails itself.
+   * @param {*} error - Error thrown or rejected by the listener.
+   * @param {object} event - Event that was being dispatched.
+   * @param {object} h - Listener object that failed.
+   * @returns {undefined} Stands in for the listener's result.
+   */
+  #report_listener_error(error, event, h) {
+    if (event.type == "listener-error") {
+      console.error(error);
+      return;
+    }
+    const data = { error: error, event: event, origin: h.origin, listener: h, bubbles: true, cancelable: false };
+    const report = this.#create_event("listener-error", data);
+    if (this.#propagate(report).length == 0) console.error(error);
+  }
+
+  /**
+   * @method #propagate
+   * @private
+   * @description Dispatches an event on this object, then on each parent
+   * while the event bubbles and propagation was not stopped.
+   * @param {object} event - Event object.
+   * @param {object} [origin] - Event origin.
+   * @param {object[]} [handled] - Receives the listener objects called.
+   * @returns {Array} Values returned by the listeners, in call order.
+   */
+  #propagate(event, origin, handled) {
+    const results = [];
+    for (let node = this; node; node = node.parent) {
+      event.currentTarget = node;
+      results.push(...node.#dispatch_event(event, origin, handled));
+      if (!event.bubbles || event.cancelBubble) break;
     }
+    event.currentTarget = null;
+    return results;
+  }
+
+  /**
+   * @method #create_event
+   * @private
+   * @description Builds an event object. Cancelable events can be vetoed by
+   * listeners through preventDefault() and stopPropagation() keeps a
+   * bubbling event from reaching the parents.
+   * @param {string} type - Event type (e.g., "click").
+   * @param {object} [data] - Data to include in event.
+   * @returns {object} Event object.
+   */
+  #create_event(type, data) {
+    const event = { bubbles: true, cancelable: true };
+    Core.mixin(event, data);
+    event.type = type;
+    event.target = this;
+    event.defaultPrevented = false;
+    event.preventDefault = () => {
+      if (event.cancelable) event.defaultPrevented = true;
+    };
+    event.currentTarget = this;
+    event.cancelBubble = false;
+    event.stopPropagation = () => event.cancelBubble = true;
+    return event;
+  }
+
+  /**
+   * @method #record
+   * @private
+   * @description Stores an event as the last one of its sticky type and in
+   * the replay buffer when it is enabled.
+   * @param {object} event - Event object.
+   * @param {object} [origin] - Event origin.
+   */
+  #record(event, origin) {
+    if (this.#sticky.has(event.type)) this.#sticky.set(event.type, { event: event, origin: origin });
+    if (this.#replay_size == 0) return;
+    this.#replay_buffer.push(event);
+    if (this.#replay_buffer.length > this.#replay_size) this.#replay_buffer.shift();
+  }
+
+  /**
+   * @method set_sticky
+   * @description Makes an event type sticky, its last event is delivered
+   * right away to listeners added later, including wildcard listeners.
+   * @param {string} type - Event type (e.g., "ready").
+   * @param {boolean} [sticky=true] - False to stop keeping the last event.
+   * @example
+   * state.set_sticky("ready");
+   * state.emit("ready");
+   * state.on("ready", ev => console.log(ev.replayed)); // Logs true right away
+   */
+  set_sticky(type, sticky = true) {
+    if (!sticky) this.#sticky.delete(type);
+    else if (!this.#sticky.has(type)) this.#sticky.set(type, null);
+  }
+
+  /**
+   * @method replay
+   * @description Sends the events of the replay buffer to a callback.
+   * @param {Function} callback - Function receiving each buffered event.
+   * @param {string} [type="*"] - Event type or wildcard pattern to replay.
+   * @example
+   * state.replay(ev => console.log(ev.type), "filter:*");
+   */
+  replay(callback, type = "*") {
+    this.replay_buffer.filter(ev => Evented.matches(type, ev.type)).forEach(callback);
   }
 
   /**
@@ -89,52 +376,78 @@ export default class Evented {
    * @param {string} type - Event type (e.g., "click").
    * @param {object} [data] - Data to include in event.
    * @param {object} [origin] - Event origin.
+   * @returns {object} Dispatched event, check defaultPrevented to know if a
+   * listener vetoed it.
    * @example
    * this.emit("click", { value: 1 }); // Emits click event
+   * if (this.emit("closing").defaultPrevented) return; // A listener vetoed
    */
   emit(type, data, origin) {
-    const event = { bubbles: true, cancelable: true };
-    Core.mixin(event, data);
-    event.type = type;
-    event.target = this;
-    this.#dispatch_event(event, origin);
+    const event = this.#create_event(type, data);
+    this.#record(event, origin);
+    this.#propagate(event, origin, Evented.tracer?.record(this, event, origin, []).listeners);
+    return event;
+  }
+
+  /**
+   * @method emit_async
+   * @description Emits an event and waits for the promises returned by
+   * asynchronous listeners.
+   * @param {string} type - Event type (e.g., "save").
+   * @param {object} [data] - Data to include in event.
+   * @param {object} [origin] - Event origin.
+   * @returns {Promise<Array>} Resolved values returned by the listeners.
+   * @example
+   * const results = await this.emit_async("save", { id: 1 });
+   */
+  async emit_async(type, data, origin) {
+    const event = this.#create_event(type, data);
+    this.#record(event, origin);
+    return Promise.all(this.#propagate(event, origin, Evented.tracer?.record(this, event, origin, []).listeners));
   }
 
   /**
    * @method on
    * @description Adds a persistent event listener.
-   * @param {string} type - Event type (e.g., "click").
+   * @param {string} type - Event type or wildcard pattern (e.g., "click", "filter:*", "*").
    * @param {Function} callback - Callback function.
    * @param {object} [origin] - Event origin.
-   * @returns {object} Listener object.
+   * @param {object} [options] - Listener options.
+   * @param {AbortSignal} [options.signal] - Signal that removes the listener.
+   * @returns {Subscription} Listener object, dispose it to remove the listener.
    * @example
    * this.on("click", () => console.log("Clicked")); // Adds listener
+   * this.on("filter:*", ev => console.log(ev.type)); // "filter:change", "filter:reset", ...
+   * this.on("change", fn, null, { signal: controller.signal }); // Removed on abort
    */
-  on(type, callback, origin) {
-    return this.#add_listener(type, callback, false, origin);
+  on(type, callback, origin, options) {
+    return this.#add_listener(type, callback, false, origin, options?.signal);
   }
 
   /**
    * @method once
    * @description Adds a one-time event listener.
-   * @param {string} type - Event type (e.g., "click").
+   * @param {string} type - Event type or wildcard pattern (e.g., "click", "filter:*", "*").
    * @param {Function} callback - Callback function.
    * @param {object} [origin] - Event origin.
-   * @returns {object} Listener object.
+   * @param {object} [options] - Listener options.
+   * @param {AbortSignal} [options.signal] - Signal that removes the listener.
+   * @returns {Subscription} Listener object, dispose it to remove the listener.
    * @example
    * this.once("click", () => console.log("Clicked once")); // Adds one-time listener
    */
-  once(type, callback, origin) {
-    return this.#add_listener(type, callback, true, origin);
+  once(type, callback, origin, options) {
+    return this.#add_listener(type, callback, true, origin, options?.signal);
   }
 
   /**
    * @method off
    * @description Removes an event listener.
-   * @param {string} type - Event type (e.g., "click").
+   * @param {string} type - Event type or wildcard pattern used in on() or once().
    * @param {object} handler - Handler object with callback.
    * @example
    * const handler = this.on("click", fn); this.off("click", handler);
+   * handler.dispose(); // Equivalent
    */
   off(type, handler) {
     this.#remove_listener(type, handler.callback);
@@ -1,19 +1,68 @@
 'use strict';
 
 import Core from '../tools/core.js';
+import Net from '../tools/net.js';
+import Evented from './evented.js';
 
 /**
  * @module components/base/nls
  * @class Nls
- * @description Manages localized strings for internationalization.
+ * @description Manages localized strings for internationalization. Strings
+ * can contain numbered ({0}) or named ({name}) placeholders and ICU
+ * MessageFormat plural, selectordinal and select arguments, where "#" is the
+ * locale-formatted count. Substituted values are HTML-escaped unless wrapped
+ * with Nls.trusted(), so results can go into innerHTML, get_text() leaves them
+ * as they are for textContent or alert(). Missing strings never
+ * throw, they fall back along the locale chain and are reported by a
+ * "missing-translation" event.
+ * @example
+ * nls.add("features", "en", "{count, plural, =0 {No features} one {# feature} other {# features}}");
+ * nls.get("features", { count: 1234 }); // Returns "1,234 features"
  */
 export default class Nls {
   /**
    * @private
    * @type {object}
-   * @description Stores localized strings by ID and locale.
+   * @description Stores localized strings by ID and locale. Prototype-less,
+   * IDs come from JSON bundles.
    */
-  #strings = {};
+  #strings = Object.create(null);
+
+  /**
+   * @static
+   * @private
+   * @type {Map<string, Promise<object>>}
+   * @description JSON bundles by URL, shared by every instance.
+   */
+  static #bundles = new Map();
+
+  /**
+   * @static
+   * @type {boolean}
+   * @description Development mode, missing strings are shown as ⟦id⟧
+   * instead of their ID.
+   */
+  static dev = false;
+
+  /**
+   * @static
+   * @type {Evented}
+   * @description Emits "missing-translation" with { id, locale, fallback }
+   * when a string is missing for the requested locale and its parents,
+   * fallback is the locale used instead or null if the string is missing
+   * entirely.
+   * @example
+   * Nls.events.on("missing-translation", ev => console.warn(ev.id, ev.locale));
+   */
+  static events = new Evented();
+
+  /**
+   * @static
+   * @private
+   * @type {WeakSet<object>}
+   * @description HTML fragments made by Nls.trusted(), inserted unescaped.
+   */
+  static #trusted = new WeakSet();
 
   /**
    * @constructor
@@ -31,7 +80,8 @@ export default class Nls {
    * @method get
    * @description Retrieves localized string or number.
    * @param {string|number} value - String ID or number to localize.
-   * @param {string[]} [subs] - Strings to substitute in text.
+   * @param {string[]|object} [subs] - Values to substitute in text, by
+   * position or by argument name.
    * @param {string} [locale] - Locale (defaults to Core.locale).
    * @returns {string} Localized string or formatted number.
    * @example
@@ -42,23 +92,62 @@ export default class Nls {
     return this.get_localized_string(value, subs, locale);
   }
 
+  /**
+   * @method get_text
+   * @description Plain text version of get(), substituted values are not
+   * HTML-escaped. Use it for textContent, attributes set with setAttribute(),
+   * alert() and other non-HTML sinks, never for innerHTML.
+   * @param {string|number} value - String ID or number to localize.
+   * @param {string[]|object} [subs] - Values to substitute in text, by
+   * position or by argument name.
+   * @param {string} [locale] - Locale (defaults to Core.locale).
+   * @returns {string} Localized string or formatted number.
+   * @example
+   * alert(this.nls.get_text("say_hello", ["Tom & Jerry"])); // Alerts "Tom & Jerry says hello"
+   */
+  get_text(value, subs, locale) {
+    if (typeof value == 'number') return Nls.format_number(value, locale);
+    return this.#localize(value, subs, locale, false);
+  }
+
   /**
    * @method get_localized_string
-   * @description Retrieves localized string by ID.
+   * @description Retrieves localized string by ID, trying each locale of
+   * Core.locale_chain(). A missing string emits "missing-translation" on
+   * Nls.events and is replaced by its ID (⟦id⟧ in development mode).
    * @param {string} id - String ID.
-   * @param {string[]} [subs] - Strings to substitute in text.
+   * @param {string[]|object} [subs] - Values to substitute in text, by
+   * position or by argument name.
    * @param {string} [locale] - Locale (defaults to Core.locale).
    * @returns {string} Localized string.
-   * @throws {Error} If string ID or locale is undefined.
    * @example
    * this.get_localized_string("greeting", [], "en"); // Returns "Hello"
+   * this.get_localized_string("greeting", [], "fr-CA"); // Tries "fr-CA", "fr" then "en"
    */
   get_localized_string(id, subs, locale) {
+    return this.#localize(id, subs, locale, true);
+  }
+
+  /**
+   * @method #localize
+   * @private
+   * @description Looks up a string along the locale chain and substitutes
+   * its values, see get_localized_string().
+   * @param {string} id - String ID.
+   * @param {string[]|object} [subs] - Values to substitute in text.
+   * @param {string} [locale] - Locale (defaults to Core.locale).
+   * @param {boolean} escape - True to HTML-escape the substituted values.
+   * @returns {string} Localized string.
+   */
+  #localize(id, subs, locale, escape) {
+    const loc = locale || Core.locale;
     const itm = this.#strings[id];
-    if (!itm) throw new Error("Nls String '" + id + "' undefined. / La chaîne est indéfinie.");
-    const txt = itm[(locale) ? locale : Core.locale];
-    if (!txt) throw new Error("String does not exist for requested language. / La chaîne n'existe pas pour la langue demandée.");
-    return this.replace_placeholders(txt, subs);
+    const found = itm ? Core.locale_chain(loc).find(l => itm[l] != null) : undefined;
+    const parent = found !== undefined && (found === loc || loc.startsWith(`${found}-`));
+    if (!parent) Nls.events.emit("missing-translation", { id: id, locale: loc, fallback: found ?? null });
+    if (found === undefined) return Nls.dev ? `⟦${id}⟧` : id;
+    if (!subs) return itm[found];
+    return Nls.#format_message(itm[found], subs, found, null, escape);
   }
 
   /**
@@ -71,27 +160,213 @@ export default class Nls {
    * this.add("greeting", "en", "Hello"); // Adds English greeting
    */
   add(id, locale, str) {
-    if (!this.#strings[id]) this.#strings[id] = {};
+    if (!this.#strings[id]) this.#strings[id] = Object.create(null);
     this.#strings[id][locale] = str;
   }
 
+  /**
+   * @method load
+   * @description Loads a JSON bundle and merges it over the strings already
+   * added, in-code strings act as defaults. A bundle maps IDs to a text of
+   * the requested locale ({ "greeting": "Bonjour" }) or to texts by locale
+   * ({ "greeting": { "en": "Hello", "fr": "Bonjour" } }). Bundles are
+   * fetched once per URL and cached.
+   * @param {string|Function} url - Bundle URL, "{locale}" is replaced by the
+   * locale, or a function receiving the locale and returning the URL.
+   * @param {string} [locale] - Locale (defaults to Core.locale).
+   * @returns {Promise<Nls>} This instance, once the bundle is merged.
+   * @throws {Error} If the bundle can't be fetched or parsed.
+   * @example
+   * await nls.load("nls/map.{locale}.json");
+   * await nls.load(locale => new URL(`./nls/${locale}.json`, import.meta.url).href);
+   */
+  async load(url, locale) {
+    const loc = locale || Core.locale;
+    const href = typeof url == "function" ? url(loc) : String(url).replace("{locale}", loc);
+    const bundle = await Nls.#fetch_bundle(href);
+    for (const id in bundle) {
+      if (typeof bundle[id] == "string") this.add(id, loc, bundle[id]);
+      else for (const l in bundle[id]) this.add(id, l, bundle[id][l]);
+    }
+    return this;
+  }
+
+  /**
+   * @static
+   * @method #fetch_bundle
+   * @private
+   * @description Fetches a JSON bundle through the cache, failed requests
+   * are removed from it so they can be retried.
+   * @param {string} url - Bundle URL.
+   * @returns {Promise<object>} Parsed bundle.
+   */
+  static #fetch_bundle(url) {
+    if (!Nls.#bundles.has(url)) {
+      const bundle = Net.json_from_url(url);
+      bundle.catch(() => Nls.#bundles.delete(url));
+      Nls.#bundles.set(url, bundle);
+    }
+    return Nls.#bundles.get(url);
+  }
+
   /**
    * @method replace_placeholders
-   * @description Replaces placeholders in a string with values.
+   * @description Replaces placeholders in a string with values. Values are
+   * HTML-escaped, except those wrapped with Nls.trusted(). Placeholders
+   * without a value are left as they are.
    * @param {string} str - Original string with placeholders.
-   * @param {string[]} [subs] - Values to replace placeholders.
+   * @param {string[]|object} [subs] - Values to replace placeholders, by
+   * position or by name.
+   * @param {string} [locale] - Locale of the plural rules and numbers
+   * (defaults to Core.locale).
    * @returns {string} String with placeholders replaced.
    * @example
    * this.replace_placeholders("Hello {0}", ["World"]); // Returns "Hello World"
+   * this.replace_placeholders("Hello {name}", { name: "<Bob>" }); // Returns "Hello &lt;Bob&gt;"
+   * this.replace_placeholders("See {link}", { link: Nls.trusted("<a href='help.html'>help</a>") }); // Link kept
+   * this.replace_placeholders("{n, plural, one {# couche} other {# couches}}", { n: 2 }, "fr"); // Returns "2 couches"
+   * this.replace_placeholders("{g, select, female {Elle} other {Il}}", { g: "female" }); // Returns "Elle"
+   */
+  replace_placeholders(str, subs, locale) {
+    if (!subs) return str;
+    return Nls.#format_message(str, subs, locale, null, true);
+  }
+
+  /**
+   * @static
+   * @method trusted
+   * @description Marks an HTML fragment as trusted, it is substituted
+   * without being escaped. Only use it for HTML built by the application,
+   * never for user or service data.
+   * @param {string} html - Trusted HTML fragment.
+   * @returns {object} Trusted fragment ({ html }).
+   * @example
+   * nls.get("read_more", { link: Nls.trusted(`<a href="${url}">${label}</a>`) });
+   */
+  static trusted(html) {
+    const fragment = { html: String(html), toString() { return this.html; } };
+    Nls.#trusted.add(fragment);
+    return fragment;
+  }
+
+  /**
+   * @static
+   * @method escape_html
+   * @description Escapes the HTML special characters of a value.
+   * @param {*} value - Value to escape.
+   * @returns {string} Escaped string.
+   * @example
+   * Nls.escape_html("<b>A & B</b>"); // Returns "&lt;b&gt;A &amp; B&lt;/b&gt;"
+   */
+  static escape_html(value) {
+    const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" };
+    return String(value).replace(/[&<>"']/g, c => entities[c]);
+  }
+
+  /**
+   * @static
+   * @method #format_message
+   * @private
+   * @description Resolves the placeholders and the plural, selectordinal and
+   * select arguments of a message.
+   * @param {string} str - Message.
+   * @param {string[]|object} subs - Argument values.
+   * @param {string} [locale] - Locale (defaults to Core.locale).
+   * @param {number|null} count - Value replacing "#" in a plural branch.
+   * @param {boolean} escape - True to HTML-escape the substituted values.
+   * @returns {string} Formatted message.
+   */
+  static #format_message(str, subs, locale, count, escape) {
+    let out = "";
+    for (let i = 0; i < str.length; i++) {
+      if (str[i] == "#" && count != null) out += Nls.format_number(count, locale);
+      else if (str[i] != "{") out += str[i];
+      else {
+        const end = Nls.#closing_brace(str, i);
+        if (end == -1) return out + str.slice(i);
+        out += Nls.#format_argument(str.slice(i, end + 1), subs, locale, count, escape);
+        i = end;
+      }
+    }
+    return out;
+  }
+
+  /**
+   * @static
+   * @method #closing_brace
+   * @private
+   * @description Finds the brace closing the one at a position.
+   * @param {string} str - String to search.
+   * @param {number} start - Position of the opening brace.
+   * @returns {number} Position of the closing brace or -1.
+   */
+  static #closing_brace(str, start) {
+    let depth = 0;
+    for (let i = start; i < str.length; i++) {
+      if (str[i] == "{") depth++;
+      else if (str[i] == "}" && --depth == 0) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * @static
+   * @method #format_argument
+   * @private
+   * @description Formats a "{name}" placeholder or a "{name, plural|
+   * selectordinal|select, ...}" argument. Exact "=n" branches win over the
+   * plural category and "other" is the fallback.
+   * @param {string} block - Argument, braces included.
+   * @param {string[]|object} subs - Argument values.
+   * @param {string} [locale] - Locale (defaults to Core.locale).
+   * @param {number|null} count - Count of the enclosing plural.
+   * @param {boolean} escape - True to HTML-escape the substituted values.
+   * @returns {string} Formatted value or branch, or the block itself if
+   * there is no value for it.
+   */
+  static #format_argument(block, subs, locale, count, escape) {
+    const name = /^\{\s*(\w+)\s*\}$/.exec(block)?.[1];
+    if (name) {
+      if (!Object.hasOwn(subs, name)) return block;
+      const value = subs[name];
+      if (Nls.#trusted.has(value)) return value.html;
+      return escape ? Nls.escape_html(value) : String(value);
+    }
+    const m = /^\{\s*(\w+)\s*,\s*(plural|selectordinal|select)\s*,([\s\S]*)\}$/.exec(block);
+    if (!m) return block;
+    const branches = Nls.#parse_branches(m[3]);
+    const value = subs[m[1]];
+    let key = String(value);
+    if (m[2] != "select") {
+      count = Number(value);
+      const type = m[2] == "plural" ? "cardinal" : "ordinal";
+      key = `=${count}` in branches ? `=${count}` : new Intl.PluralRules(Core.intl_locale(locale), { type: type }).select(count);
+    }
+    const branch = branches[key] ?? branches.other;
+    return branch == null ? "" : Nls.#format_message(branch, subs, locale, count, escape);
+  }
+
+  /**
+   * @static
+   * @method #parse_branches
+   * @private
+   * @description Splits the branches of a plural or select argument.
+   * @param {string} body - Branches (e.g., "one {# item} other {# items}").
+   * @returns {Object.<string, string>} Branch text by key.
    */
-  replace_placeholders(str, subs) {
-    if (!subs || subs.length == 0) return str;
-    let s = str;
-    for (let i = 0; i < subs.length; i++) {
-      let reg = new RegExp("\\{" + i + "\\}", "gm");
-      s = s.replace(reg, subs[i]);
+  static #parse_branches(body) {
+    const branches = {};
+    const key = /\s*(=?[\w.-]+)\s*(?=\{)/y;
+    for (let i = 0; i < body.length;) {
+      key.lastIndex = i;
+      const m = key.exec(body);
+      if (!m) break;
+      const end = Nls.#closing_brace(body, key.lastIndex);
+      if (end == -1) break;
+      branches[m[1]] = body.slice(key.lastIndex + 1, end);
+      i = end + 1;
     }
-    return s;
+    return branches;
   }
 
   /**
@@ -106,7 +381,6 @@ export default class Nls {
    */
   static format_number(value, locale) {
     if (value == null) return null;
-    const loc = (locale || Core.locale) == "en" ? "en-CA" : "fr-CA";
-    return new Number(value).toLocaleString(loc);
+    return Core.localize_number(value, locale);
   }
 }
\ No newline at end of file
@@ -0,0 +1,234 @@
+'use strict';
+
+import Evented from './evented.js';
+
+/**
+ * @module components/state-history
+ * @class StateHistory
+ * @extends Evented
+ * @description Opt-in undo/redo history for a State. Records the changes of
+ * declared properties as revertible entries and emits "history-change" when
+ * undo or redo become available or unavailable.
+ * @example
+ * const history = new StateHistory(state, { limit: 50 });
+ * history.on("history-change", ev => {
+ *   undo_button.disabled = !ev.can_undo;
+ *   redo_button.disabled = !ev.can_redo;
+ * });
+ * state.year = 2021;
+ * history.undo(); // state.year is back to its previous value
+ */
+export default class StateHistory extends Evented {
+  /**
+   * @private
+   * @type {State}
+   * @description State whose changes are recorded.
+   */
+  #state;
+
+  /**
+   * @private
+   * @type {object[][]}
+   * @description Entries that can be undone, each entry is a list of changes.
+   */
+  #undo_stack;
+
+  /**
+   * @private
+   * @type {object[][]}
+   * @description Entries that can be redone.
+   */
+  #redo_stack;
+
+  /**
+   * @private
+   * @type {number}
+   * @description Maximum number of entries kept.
+   */
+  #limit;
+
+  /**
+   * @private
+   * @type {Subscription}
+   * @description Listener on the state changes.
+   */
+  #subscription;
+
+  /**
+   * @getter
+   * @returns {State} State whose changes are recorded.
+   */
+  get state() { return this.#state; }
+
+  /**
+   * @getter
+   * @returns {boolean} True if there is an entry to undo.
+   */
+  get can_undo() { return this.#undo_stack.length > 0; }
+
+  /**
+   * @getter
+   * @returns {boolean} True if there is an entry to redo.
+   */
+  get can_redo() { return this.#redo_stack.length > 0; }
+
+  /**
+   * @getter
+   * @returns {number} Maximum number of entries kept.
+   */
+  get limit() { return this.#limit; }
+
+  /**
+   * @setter
+   * @param {number} value - Maximum number of entries kept, the oldest
+   * entries are dropped first.
+   */
+  set limit(value) {
+    this.#limit = Math.max(1, value);
+    this.#undo_stack.splice(0, this.#undo_stack.length - this.#limit);
+    this.#emit_history_change();
+  }
+
+  /**
+   * @constructor
+   * @description Starts recording the changes of a state.
+   * @param {State} state - State to record.
+   * @param {object} [options] - History options.
+   * @param {number} [options.limit=100] - Maximum number of entries kept.
+   */
+  constructor(state, options) {
+    super();
+    this.#state = state;
+    this.#undo_stack = [];
+    this.#redo_stack = [];
+    this.#limit = options?.limit ?? 100;
+    this.#subscription = state.on("change", ev => this.#on_state_change(ev), this);
+  }
+
+  /**
+   * @method #on_state_change
+   * @private
+   * @description Records the changes of declared properties of a "change"
+   * event as one entry. Computed properties, sticky replays and events
+   * without changes (emitted by hand with state.emit()) are ignored.
+   * @param {object} ev - State "change" event.
+   */
+  #on_state_change(ev) {
+    if (ev.replayed || !ev.changes) return;
+    const entry = ev.changes.filter(c => this.state.declared.includes(c.property));
+    if (entry.length) this.#push(entry);
+  }
+
+  /**
+   * @method #push
+   * @private
+   * @description Adds an entry, drops the redo entries and the oldest
+   * entries beyond the limit.
+   * @param {object[]} entry - Changes of the entry.
+   */
+  #push(entry) {
+    this.#undo_stack.push(entry);
+    if (this.#undo_stack.length > this.#limit) this.#undo_stack.shift();
+    this.#redo_stack = [];
+    this.#emit_history_change();
+  }
+
+  /**
+   * @method #emit_history_change
+   * @private
+   * @description Emits "history-change" with the undo/redo availability.
+   */
+  #emit_history_change() {
+    this.emit("history-change", { can_undo: this.can_undo, can_redo: this.can_redo, bubbles: false });
+  }
+
+  /**
+   * @method transaction
+   * @description Runs a function in a state batch, the changes it makes are
+   * recorded as a single entry. Nested transactions join the outer one and
+   * the changes are rolled back if the function throws.
+   * @param {Function} fn - Function changing the state.
+   * @returns {*} Value returned by the function.
+   * @example
+   * history.transaction(() => {
+   *   state.region = "QC";
+   *   state.year = 2021;
+   * }); // A single undo() reverts both
+   */
+  transaction(fn) {
+    return this.state.batch(fn);
+  }
+
+  /**
+   * @method #apply
+   * @private
+   * @description Sets the values of an entry in a single batch. If one of
+   * them is not applied (a "changing:<property>" listener vetoed it), the
+   * batch is rolled back.
+   * @param {object[]} changes - Changes to apply, in order.
+   * @param {string} key - "old_value" to revert them, "new_value" to apply them.
+   * @returns {boolean} True if every value was applied.
+   */
+  #apply(changes, key) {
+    const vetoed = {};
+    try {
+      this.state.batch(() => changes.forEach(c => {
+        if (!this.state.set(c.property, c[key])) throw vetoed;
+      }), this);
+    } catch (error) {
+      if (error !== vetoed) throw error;
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * @method undo
+   * @description Reverts the last entry. If the state vetoes one of its
+   * changes, nothing is reverted and the entry stays in place.
+   * @returns {boolean} True if an entry was reverted.
+   * @example
+   * if (history.can_undo) history.undo();
+   */
+  undo() {
+    const entry = this.#undo_stack[this.#undo_stack.length - 1];
+    if (!entry || !this.#apply([...entry].reverse(), "old_value")) return false;
+    this.#redo_stack.push(this.#undo_stack.pop());
+    this.#emit_history_change();
+    return true;
+  }
+
+  /**
+   * @method redo
+   * @description Applies the last reverted entry again. If the state vetoes
+   * one of its changes, nothing is applied and the entry stays in place.
+   * @returns {boolean} True if an entry was applied.
+   * @example
+   * if (history.can_redo) history.redo();
+   */
+  redo() {
+    const entry = this.#redo_stack[this.#redo_stack.length - 1];
+    if (!entry || !this.#apply(entry, "new_value")) return false;
+    this.#undo_stack.push(this.#redo_stack.pop());
+    this.#emit_history_change();
+    return true;
+  }
+
+  /**
+   * @method clear
+   * @description Removes every entry.
+   */
+  clear() {
+    this.#undo_stack = [];
+    this.#redo_stack = [];
+    this.#emit_history_change();
+  }
+
+  /**
+   * @method dispose
+   * @description Stops recording the state changes.
+   */
+  dispose() {
+    this.#subscription.dispose();
+  }
+}
@@ -0,0 +1,291 @@
+'use strict';
+
+import Evented from './evented.js';
+
+/**
+ * @module components/state-persistence
+ * @class StatePersistence
+ * @extends Evented
+ * @description Saves a whitelist of State properties across sessions in
+ * localStorage, sessionStorage or IndexedDB. Saved payloads carry a schema
+ * version, older payloads go through migration functions when restored and
+ * unreadable payloads are discarded with a "discard" event instead of
+ * breaking the application.
+ * @example
+ * const persistence = new StatePersistence(state, {
+ *   key: "portal-preferences",
+ *   backend: "local",
+ *   properties: ["layers", "locale", "searches"],
+ *   version: 2,
+ *   migrations: {
+ *     2: (values) => ({ ...values, searches: values.recent ?? [] })
+ *   }
+ * });
+ * await persistence.restore(); // Then saves on every change
+ */
+export default class StatePersistence extends Evented {
+  /**
+   * @private
+   * @type {State}
+   * @description Persisted state.
+   */
+  #state;
+
+  /**
+   * @private
+   * @type {string}
+   * @description Storage key.
+   */
+  #key;
+
+  /**
+   * @private
+   * @type {object}
+   * @description Storage backend.
+   */
+  #backend;
+
+  /**
+   * @private
+   * @type {string[]}
+   * @description Persisted properties.
+   */
+  #properties;
+
+  /**
+   * @private
+   * @type {number}
+   * @description Current schema version.
+   */
+  #version;
+
+  /**
+   * @private
+   * @type {Object.<number, Function>}
+   * @description Migration functions by target version.
+   */
+  #migrations;
+
+  /**
+   * @private
+   * @type {Subscription|null}
+   * @description Listener saving the state changes.
+   */
+  #subscription;
+
+  /**
+   * @static
+   * @type {object}
+   * @description Storage backends by name. A backend has async get(key),
+   * set(key, payload) and remove(key) methods.
+   */
+  static backends = {
+    local: StatePersistence.#web_storage(() => window.localStorage),
+    session: StatePersistence.#web_storage(() => window.sessionStorage),
+    indexeddb: StatePersistence.#indexed_db("somejs-state", "states")
+  };
+
+  /**
+   * @getter
+   * @returns {State} Persisted state.
+   */
+  get state() { return this.#state; }
+
+  /**
+   * @getter
+   * @returns {number} Current schema version.
+   */
+  get version() { return this.#version; }
+
+  /**
+   * @constructor
+   * @description Initializes the persistence, call restore() to load the
+   * saved values and start saving.
+   * @param {State} state - State to persist.
+   * @param {object} options - Persistence options.
+   * @param {string} options.key - Storage key.
+   * @param {string[]} options.properties - Declared properties to persist.
+   * @param {string|object} [options.backend="local"] - "local", "session",
+   * "indexeddb" or a backend object.
+   * @param {number} [options.version=1] - Current schema version.
+   * @param {Object.<number, Function>} [options.migrations] - Functions
+   * converting the saved values of version n - 1 to version n, by n.
+   * @throws {Error} If the backend name is unknown.
+   */
+  constructor(state, options) {
+    super();
+    this.#state = state;
+    this.#key = options.key;
+    this.#properties = options.properties;
+    this.#version = options.version ?? 1;
+    this.#migrations = options.migrations ?? {};
+    this.#subscription = null;
+    const backend = options.backend ?? "local";
+    this.#backend = typeof backend == "object" ? backend : StatePersistence.backends[backend];
+    if (!this.#backend) throw new Error(`Unknown storage backend '${backend}'.`);
+  }
+
+  /**
+   * @static
+   * @method #web_storage
+   * @private
+   * @description Makes a backend for localStorage or sessionStorage.
+   * @param {Function} storage - Returns the Storage object, called lazily
+   * since accessing it can throw when storage is disabled.
+   * @returns {object} Storage backend.
+   */
+  static #web_storage(storage) {
+    return {
+      get: async (key) => {
+        const str = storage().getItem(key);
+        return str == null ? null : JSON.parse(str);
+      },
+      set: async (key, payload) => storage().setItem(key, JSON.stringify(payload)),
+      remove: async (key) => storage().removeItem(key)
+    };
+  }
+
+  /**
+   * @static
+   * @method #indexed_db
+   * @private
+   * @description Makes a backend storing payloads in an IndexedDB object store.
+   * @param {string} db_name - Database name.
+   * @param {string} store_name - Object store name.
+   * @returns {object} Storage backend.
+   */
+  static #indexed_db(db_name, store_name) {
+    let db = null;
+    const request = (r) => new Promise((resolve, reject) => {
+      r.onsuccess = () => resolve(r.result);
+      r.onerror = () => reject(r.error);
+    });
+    const open = () => {
+      if (db) return db;
+      const r = indexedDB.open(db_name, 1);
+      r.onupgradeneeded = () => r.result.createObjectStore(store_name);
+      db = request(r);
+      db.catch(() => db = null);
+      return db;
+    };
+    const store = async (mode) => (await open()).transaction(store_name, mode).objectStore(store_name);
+    return {
+      get: async (key) => (await request((await store("readonly")).get(key))) ?? null,
+      set: async (key, payload) => request((await store("readwrite")).put(payload, key)),
+      remove: async (key) => request((await store("readwrite")).delete(key))
+    };
+  }
+
+  /**
+   * @method #migrate
+   * @private
+   * @description Brings saved values to the current schema version.
+   * @param {object} payload - Saved payload ({ version, values }).
+   * @returns {object} Migrated values.
+   * @throws {Error} If the payload is invalid.
+   */
+  #migrate(payload) {
+    if (typeof payload?.values != "object" || payload.values === null) throw new Error("Saved state payload is invalid.");
+    const from = payload.version ?? 0;
+    let values = payload.values;
+    for (let v = from + 1; v <= this.version; v++) {
+      if (this.#migrations[v]) values = this.#migrations[v](values);
+    }
+    return values;
+  }
+
+  /**
+   * @method #discard
+   * @private
+   * @description Removes unreadable saved data and emits "discard".
+   * @param {Error} error - Reason the data was discarded.
+   * @param {boolean} [keep=false] - True to leave the data in storage.
+   */
+  async #discard(error, keep) {
+    try {
+      if (!keep) await this.#backend.remove(this.#key);
+    } catch (e) {
+      // Storage is unavailable, nothing left to clean up
+    }
+    this.emit("discard", { error: error, key: this.#key });
+  }
+
+  /**
+   * @method restore
+   * @description Loads the saved values into the state, then saves the
+   * persisted properties on every change. Unreadable data is discarded and
+   * the state keeps its current values. Data saved by a newer version of the
+   * application is not applied either, but it is left in storage.
+   * @returns {Promise<boolean>} True if saved values were applied.
+   * @example
+   * await persistence.restore();
+   */
+  async restore() {
+    let applied = false;
+    try {
+      const payload = await this.#backend.get(this.#key);
+      if ((payload?.version ?? 0) > this.version) {
+        await this.#discard(new Error(`Saved state version ${payload.version} is newer than version ${this.version}.`), true);
+      } else if (payload != null) {
+        const values = this.#migrate(payload);
+        this.state.batch(() => this.#properties.forEach(p => {
+          if (p in values) this.state.set(p, values[p]);
+        }), this);
+        applied = true;
+        if ((payload.version ?? 0) != this.version) await this.save();
+      }
+    } catch (error) {
+      await this.#discard(error);
+    }
+    if (!this.#subscription) this.#subscription = this.state.on("change", ev => this.#on_state_change(ev), this);
+    return applied;
+  }
+
+  /**
+   * @method #on_state_change
+   * @private
+   * @description Saves when persisted properties change. Events without
+   * changes, emitted by hand with state.emit(), are ignored.
+   * @param {object} ev - State "change" event.
+   */
+  #on_state_change(ev) {
+    if (ev.replayed || !ev.changes?.some(c => this.#properties.includes(c.property))) return;
+    this.save();
+  }
+
+  /**
+   * @method save
+   * @description Saves the persisted properties with the current version.
+   * Failures (quota, storage disabled) emit "error" instead of rejecting.
+   * @returns {Promise<boolean>} True if the values were saved.
+   */
+  async save() {
+    const values = {};
+    this.#properties.forEach(p => values[p] = this.state.get(p));
+    try {
+      await this.#backend.set(this.#key, { version: this.version, values: values, saved: Date.now() });
+      return true;
+    } catch (error) {
+      this.emit("error", { error: error, message: error.message, name: error.name });
+      return false;
+    }
+  }
+
+  /**
+   * @method clear
+   * @description Removes the saved values.
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.#backend.remove(this.#key);
+  }
+
+  /**
+   * @method dispose
+   * @description Stops saving the state changes.
+   */
+  dispose() {
+    this.#subscription?.dispose();
+    this.#subscription = null;
+  }
+}
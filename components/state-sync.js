@@ -0,0 +1,175 @@
+'use strict';
+
+import SubscriptionGroup from './subscription-group.js';
+
+/**
+ * @module components/state-sync
+ * @class StateSync
+ * @description Opt-in synchronization of State properties between the tabs
+ * of a browser. Local changes are broadcast over a BroadcastChannel and remote
+ * changes are applied with the sync as origin, so they are not broadcast back.
+ * Each property keeps the timestamp of its last write, a change older than
+ * the local one is ignored (last writer wins).
+ * @example
+ * const sync = new StateSync(state, { channel: "portal-filters", properties: ["region", "year"] });
+ * state.region = "QC"; // Other tabs follow
+ */
+export default class StateSync {
+  /**
+   * @private
+   * @type {State}
+   * @description Synchronized state.
+   */
+  #state;
+
+  /**
+   * @private
+   * @type {BroadcastChannel}
+   * @description Channel shared with the other tabs.
+   */
+  #channel;
+
+  /**
+   * @private
+   * @type {string[]}
+   * @description Synchronized properties.
+   */
+  #properties;
+
+  /**
+   * @private
+   * @type {string}
+   * @description Unique ID of this tab, breaks timestamp ties.
+   */
+  #source;
+
+  /**
+   * @private
+   * @type {Map<string, object>}
+   * @description Last write ({ time, source }) by property name.
+   */
+  #stamps;
+
+  /**
+   * @private
+   * @type {SubscriptionGroup}
+   * @description State and channel listeners.
+   */
+  #subscriptions;
+
+  /**
+   * @getter
+   * @returns {State} Synchronized state.
+   */
+  get state() { return this.#state; }
+
+  /**
+   * @getter
+   * @returns {string} Unique ID of this tab.
+   */
+  get source() { return this.#source; }
+
+  /**
+   * @constructor
+   * @description Starts broadcasting the state changes and asks the other
+   * tabs for their current values.
+   * @param {State} state - State to synchronize.
+   * @param {object} options - Sync options.
+   * @param {string} options.channel - BroadcastChannel name, tabs using the
+   * same name are synchronized.
+   * @param {string[]} [options.properties] - Declared properties to
+   * synchronize (defaults to all of them). Values must be structured-cloneable.
+   */
+  constructor(state, options) {
+    this.#state = state;
+    this.#properties = options.properties ?? state.declared;
+    this.#source = crypto.randomUUID();
+    this.#stamps = new Map();
+    this.#subscriptions = new SubscriptionGroup();
+    this.#channel = new BroadcastChannel(options.channel);
+    this.#channel.addEventListener("message", ev => this.#on_message(ev.data), { signal: this.#subscriptions.signal });
+    this.#subscriptions.add(state.on("change", ev => this.#on_state_change(ev), this));
+    this.#post("request", []);
+  }
+
+  /**
+   * @method #post
+   * @private
+   * @description Sends a message to the other tabs.
+   * @param {string} type - "changes" or "request".
+   * @param {object[]} changes - Changes ({ property, value, time }).
+   */
+  #post(type, changes) {
+    this.#channel.postMessage({ type: type, source: this.#source, changes: changes });
+  }
+
+  /**
+   * @method #stamped
+   * @private
+   * @description Lists the values of the properties written since the sync
+   * started, with their timestamp.
+   * @param {string[]} properties - Property names.
+   * @returns {object[]} Changes ({ property, value, time, source }).
+   */
+  #stamped(properties) {
+    return properties.filter(p => this.#stamps.has(p)).map(p => {
+      return Object.assign({ property: p, value: this.state.get(p) }, this.#stamps.get(p));
+    });
+  }
+
+  /**
+   * @method #wins
+   * @private
+   * @description Tells if a remote write is more recent than the local one.
+   * @param {object} change - Remote change ({ property, time, source }).
+   * @returns {boolean} True if the remote change should be applied.
+   */
+  #wins(change) {
+    const local = this.#stamps.get(change.property);
+    if (!local) return true;
+    if (change.time != local.time) return change.time > local.time;
+    return change.source > local.source;
+  }
+
+  /**
+   * @method #on_state_change
+   * @private
+   * @description Stamps and broadcasts the local changes of synchronized
+   * properties. Remote changes, applied with this sync as origin, never get
+   * here. Events without changes, emitted by hand with state.emit(), are
+   * ignored.
+   * @param {object} ev - State "change" event.
+   */
+  #on_state_change(ev) {
+    if (ev.replayed || !ev.properties) return;
+    const properties = ev.properties.filter(p => this.#properties.includes(p));
+    if (properties.length == 0) return;
+    const time = Date.now();
+    properties.forEach(p => this.#stamps.set(p, { time: time, source: this.#source }));
+    this.#post("changes", this.#stamped(properties));
+  }
+
+  /**
+   * @method #on_message
+   * @private
+   * @description Answers the requests of new tabs and applies the remote
+   * changes that win over the local ones, in a single batch.
+   * @param {object} message - Message ({ type, source, changes }).
+   */
+  #on_message(message) {
+    if (message.type == "request") return this.#post("changes", this.#stamped(this.#properties));
+    const changes = message.changes.filter(c => this.#properties.includes(c.property) && this.#wins(c));
+    if (changes.length == 0) return;
+    changes.forEach(c => this.#stamps.set(c.property, { time: c.time, source: c.source }));
+    this.state.batch(() => changes.forEach(c => this.state.set(c.property, c.value)), this);
+  }
+
+  /**
+   * @method dispose
+   * @description Stops synchronizing and closes the channel.
+   */
+  dispose() {
+    this.#subscriptions.dispose();
+    this.#channel.close();
+  }
+}
@@ -1,21 +1,599 @@
 'use strict';
 
 import Evented from './evented.js';
+import Core from '../tools/core.js';
 
 /**
  * @module components/base/state
  * @class State
  * @extends Evented
  * @description Base class for application state with event handling.
+ * Subclasses declare their properties in a static "properties" object,
+ * assigning a declared property emits the cancelable "changing:<property>",
+ * then "change:<property>" and "change" when the value actually changes.
+ * Every "change" event lists its changes, batch() groups the changes of
+ * several assignments in one event. Computed properties, declared in a
+ * static "computed" object, track the properties they read, cache their
+ * result and are re-evaluated when one of those properties changes.
+ * "ready" is sticky, listeners added after it was emitted receive it right
+ * away, subclasses can make other events sticky with a static "sticky" list. load() runs initialize() with a managed
+ * lifecycle (status, ready promise, retries) and emits "busy", "idle" and
+ * "error" like a widget, so wWaiting and Application can handle a state.
+ * @example
+ * class FilterState extends State {
+ *   static properties = {
+ *     region: { default: null },
+ *     year: { default: 2020, type: Number },
+ *     layers: { default: () => [] }
+ *   };
+ *   static computed = {
+ *     label() { return `${this.region} (${this.year})`; }
+ *   };
+ * }
+ * const state = new FilterState();
+ * state.on("change:year", ev => console.log(ev.old_value, ev.new_value));
+ * state.year = "2021"; // Logs 2020 2021
+ * state.on("change:label", ev => console.log(ev.new_value));
+ * state.region = "QC"; // Logs "QC (2021)" if label was read before
  */
 export default class State extends Evented {
+  /**
+   * @private
+   * @type {Map<string, object>}
+   * @description Declared properties by name.
+   */
+  #declarations;
+
+  /**
+   * @private
+   * @type {Map<string, *>}
+   * @description Values of the declared properties.
+   */
+  #values;
+
+  /**
+   * @private
+   * @type {Map<string, object>}
+   * @description Computed properties by name, with their function, cached
+   * value, dependencies and state.
+   */
+  #computed;
+
+  /**
+   * @private
+   * @type {Set<string>[]}
+   * @description Dependencies being collected, one set per computed
+   * property being evaluated.
+   */
+  #tracking;
+
+  /**
+   * @private
+   * @type {object|null}
+   * @description Current batch, with the first old value of each changed
+   * property and computed property, a journal of assignments for rollbacks
+   * and the dirtied computed properties.
+   */
+  #batch = null;
+
+  /**
+   * @private
+   * @type {string}
+   * @description Lifecycle status, "idle", "loading", "ready" or "error".
+   */
+  #status = "idle";
+
+  /**
+   * @private
+   * @type {object}
+   * @description Deferred ready promise ({ promise, resolve, reject }).
+   */
+  #ready;
+
+  /**
+   * @static
+   * @type {object}
+   * @description Default retry options of load(), subclasses can override
+   * them, see Core.retry().
+   */
+  static retry = { attempts: 3, delay: 1000, factor: 2, max_delay: 30000, jitter: 0 };
+
+  /**
+   * @static
+   * @type {string[]}
+   * @description Sticky event types, subclasses can add "change" so late
+   * listeners receive the last change right away (flagged as replayed).
+   * @example
+   * static sticky = ["ready", "change"];
+   */
+  static sticky = ["ready"];
+
+  /**
+   * @getter
+   * @returns {string[]} Names of the declared properties.
+   */
+  get declared() { return [...this.#declarations.keys()]; }
+
+  /**
+   * @getter
+   * @returns {string[]} Names of the computed properties.
+   */
+  get computed() { return [...this.#computed.keys()]; }
+
+  /**
+   * @getter
+   * @returns {boolean} True while a batch is running.
+   */
+  get batching() { return this.#batch != null; }
+
+  /**
+   * @getter
+   * @returns {string} Lifecycle status, "idle", "loading", "ready" or "error".
+   */
+  get status() { return this.#status; }
+
+  /**
+   * @getter
+   * @returns {Promise<State>} Resolves when load() succeeds, rejects when
+   * it fails. A new promise is made when load() is called after a failure.
+   */
+  get ready() { return this.#ready.promise; }
+
+  /**
+   * @constructor
+   * @description Initializes the state, its declared properties with their
+   * defaults and its sticky events.
+   */
+  constructor() {
+    super();
+    this.#declarations = State.#collect_declarations(this.constructor, "properties");
+    this.#values = new Map();
+    this.#computed = new Map();
+    this.#tracking = [];
+    this.#declarations.forEach((declaration, name) => {
+      const value = typeof declaration.default == "function" ? declaration.default() : declaration.default;
+      this.#values.set(name, State.#coerce(declaration, value));
+      Object.defineProperty(this, name, {
+        get: () => this.get(name),
+        set: (v) => this.set(name, v),
+        enumerable: true,
+        configurable: true
+      });
+    });
+    State.#collect_declarations(this.constructor, "computed").forEach((fn, name) => {
+      this.#computed.set(name, { fn: fn, value: undefined, deps: new Set(), dirty: true, evaluated: false, evaluating: false });
+      Object.defineProperty(this, name, { get: () => this.get(name), enumerable: true, configurable: true });
+    });
+    this.#defer_ready();
+    this.constructor.sticky.forEach(type => this.set_sticky(type));
+  }
+
+  /**
+   * @static
+   * @method #collect_declarations
+   * @private
+   * @description Merges a static declaration object of a class and its
+   * parents, subclasses can redeclare a parent property.
+   * @param {Function} ctor - State subclass.
+   * @param {string} key - Static property name ("properties" or "computed").
+   * @returns {Map<string, object>} Declarations by property name.
+   */
+  static #collect_declarations(ctor, key) {
+    const chain = [];
+    for (let c = ctor; c && c !== State; c = Object.getPrototypeOf(c)) {
+      if (Object.prototype.hasOwnProperty.call(c, key)) chain.unshift(c[key]);
+    }
+    const declarations = new Map();
+    chain.forEach(properties => {
+      for (const name in properties) declarations.set(name, properties[name] || {});
+    });
+    return declarations;
+  }
+
+  /**
+   * @static
+   * @method #coerce
+   * @private
+   * @description Converts a value to the declared type, null and undefined
+   * are left as-is.
+   * @param {object} declaration - Property declaration.
+   * @param {*} value - Value to convert.
+   * @returns {*} Converted value.
+   */
+  static #coerce(declaration, value) {
+    const type = declaration.type;
+    if (value == null || !type) return value;
+    if (type === Date) return value instanceof Date ? value : new Date(value);
+    if (type === Array) return Array.isArray(value) ? value : [value];
+    return type(value);
+  }
+
+  /**
+   * @static
+   * @method #same
+   * @private
+   * @description Compares two values of a property, Dates are compared by
+   * time.
+   * @param {object} declaration - Property declaration.
+   * @param {*} a - First value.
+   * @param {*} b - Second value.
+   * @returns {boolean} True if the values are considered equal.
+   */
+  static #same(declaration, a, b) {
+    if (declaration.equals) return declaration.equals(a, b);
+    if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+    return Object.is(a, b);
+  }
+
+  /**
+   * @method #declaration
+   * @private
+   * @description Gets the declaration of a property.
+   * @param {string} property - Property name.
+   * @returns {object} Property declaration.
+   * @throws {Error} If the property is not declared.
+   */
+  #declaration(property) {
+    const declaration = this.#declarations.get(property);
+    if (!declaration) throw new Error(`Property '${property}' is not declared on ${this.constructor.name}.`);
+    return declaration;
+  }
+
+  /**
+   * @method #evaluate
+   * @private
+   * @description Gets a computed property, re-evaluating it if one of its
+   * dependencies changed and collecting the properties it reads.
+   * @param {string} name - Computed property name.
+   * @returns {*} Computed value.
+   * @throws {Error} If the computed property depends on itself.
+   */
+  #evaluate(name) {
+    const computed = this.#computed.get(name);
+    if (!computed.dirty) return computed.value;
+    if (computed.evaluating) throw new Error(`Computed property '${name}' depends on itself.`);
+    const deps = new Set();
+    computed.evaluating = true;
+    this.#tracking.push(deps);
+    try {
+      computed.value = computed.fn.call(this);
+    } finally {
+      this.#tracking.pop();
+      computed.evaluating = false;
+    }
+    computed.deps = deps;
+    computed.dirty = false;
+    computed.evaluated = true;
+    return computed.value;
+  }
+
+  /**
+   * @method #invalidate
+   * @private
+   * @description Marks the computed properties depending on a property,
+   * directly or through other computed properties, as dirty.
+   * @param {string} property - Changed property name.
+   * @param {string[]} [invalidated=[]] - Receives the dirtied names.
+   * @returns {string[]} Names of the computed properties marked as dirty.
+   */
+  #invalidate(property, invalidated = []) {
+    this.#computed.forEach((computed, name) => {
+      if (invalidated.includes(name) || !computed.deps.has(property)) return;
+      if (this.#batch && computed.evaluated && !this.#batch.computed_values.has(name)) this.#batch.computed_values.set(name, computed.value);
+      computed.dirty = true;
+      invalidated.push(name);
+      this.#invalidate(name, invalidated);
+    });
+    return invalidated;
+  }
+
+  /**
+   * @method #refresh_computed
+   * @private
+   * @description Re-evaluates dirtied computed properties. Computed
+   * properties never read stay dirty, they are evaluated on first read.
+   * @param {string[]} names - Dirtied computed property names.
+   * @param {Map<string, *>} [old_values] - Values before a batch, computed
+   * properties read during the batch were already re-evaluated.
+   * @returns {object[]} Changes of the computed properties whose value changed.
+   */
+  #refresh_computed(names, old_values) {
+    const changes = [];
+    names.forEach(name => {
+      const computed = this.#computed.get(name);
+      if (!computed.evaluated) return;
+      const old_value = old_values?.has(name) ? old_values.get(name) : computed.value;
+      const new_value = this.#evaluate(name);
+      if (!Object.is(old_value, new_value)) changes.push({ property: name, old_value: old_value, new_value: new_value });
+    });
+    return changes;
+  }
+
+  /**
+   * @method #notify
+   * @private
+   * @description Emits "change:<property>" for each change, including the
+   * computed properties, then a single "change" listing all of them.
+   * @param {object[]} changes - Changes of declared properties.
+   * @param {string[]} invalidated - Dirtied computed property names.
+   * @param {object} [origin] - Event origin.
+   * @param {Map<string, *>} [computed_values] - Computed values before a batch.
+   */
+  #notify(changes, invalidated, origin, computed_values) {
+    changes = changes.concat(this.#refresh_computed(invalidated, computed_values));
+    if (changes.length == 0) return;
+    changes.forEach(c => super.emit(`change:${c.property}`, Object.assign({ state: this }, c), origin));
+    const data = Object.assign({ state: this }, changes[0]);
+    data.changes = changes;
+    data.properties = changes.map(c => c.property);
+    super.emit("change", data, origin);
+  }
+
+  /**
+   * @method #begin_batch
+   * @private
+   * @description Starts a batch unless one is already running.
+   * @returns {boolean} True if this call started the batch.
+   */
+  #begin_batch() {
+    if (this.#batch) return false;
+    this.#batch = { old_values: new Map(), computed_values: new Map(), journal: [], invalidated: [] };
+    return true;
+  }
+
+  /**
+   * @method #rollback
+   * @private
+   * @description Restores the values assigned since a journal position,
+   * without emitting events.
+   * @param {number} mark - Journal length to go back to.
+   */
+  #rollback(mark) {
+    const journal = this.#batch.journal;
+    while (journal.length > mark) {
+      const [property, previous] = journal.pop();
+      this.#values.set(property, previous);
+      this.#invalidate(property, this.#batch.invalidated);
+    }
+  }
+
+  /**
+   * @method #commit_batch
+   * @private
+   * @description Ends the batch and emits the changes that remain, a
+   * property set back to its original value is not a change.
+   * @param {object} [origin] - Event origin.
+   */
+  #commit_batch(origin) {
+    const batch = this.#batch;
+    this.#batch = null;
+    const changes = [];
+    batch.old_values.forEach((old_value, property) => {
+      const new_value = this.#values.get(property);
+      if (State.#same(this.#declaration(property), old_value, new_value)) return;
+      changes.push({ property: property, old_value: old_value, new_value: new_value });
+    });
+    this.#notify(changes, batch.invalidated, origin, batch.computed_values);
+  }
+
+  /**
+   * @method batch
+   * @description Runs a function and sends the changes it makes as a single
+   * "change" event, after the "change:<property>" events. If the function
+   * throws, its changes are rolled back without events and the error is
+   * rethrown. Nested batches join the outer one.
+   * @param {Function} fn - Function changing the state.
+   * @param {object} [origin] - Origin of the change events.
+   * @returns {*} Value returned by the function.
+   * @example
+   * state.batch(() => {
+   *   state.region = "QC";
+   *   state.year = 2021;
+   * }); // One "change" event with ev.properties = ["region", "year"]
+   */
+  batch(fn, origin) {
+    const outer = this.#begin_batch();
+    const mark = this.#batch.journal.length;
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      this.#rollback(mark);
+      if (outer) this.#batch = null;
+      throw error;
+    }
+    if (outer) this.#commit_batch(origin);
+    return result;
+  }
+
+  /**
+   * @method #draft
+   * @private
+   * @description Makes the draft of an asynchronous batch, an object with the
+   * declared properties whose assignments are staged instead of applied.
+   * Reading a property gives its staged value, or the current one. Computed
+   * properties are evaluated against the staged values, without caching.
+   * @param {Map<string, *>} staged - Receives the staged values by name.
+   * @returns {object} Draft, with get() and set() like the state.
+   */
+  #draft(staged) {
+    const draft = {
+      get: (property) => {
+        if (staged.has(property)) return staged.get(property);
+        if (staged.size > 0 && this.#computed.has(property)) return this.#computed.get(property).fn.call(draft);
+        return this.get(property);
+      },
+      set: (property, value) => { staged.set(property, State.#coerce(this.#declaration(property), value)); }
+    };
+    this.#declarations.forEach((declaration, name) => {
+      Object.defineProperty(draft, name, { get: () => draft.get(name), set: (v) => draft.set(name, v), enumerable: true });
+    });
+    this.#computed.forEach((computed, name) => {
+      Object.defineProperty(draft, name, { get: () => draft.get(name), enumerable: true });
+    });
+    return Object.seal(draft);
+  }
+
+  /**
+   * @method batch_async
+   * @description Asynchronous version of batch(). The function receives a
+   * draft of the state, its assignments are staged and applied in a single
+   * batch once the returned promise resolves, or discarded if it rejects.
+   * Computed properties read on the draft reflect the staged values.
+   * Changes made elsewhere while the batch is pending, including other
+   * asynchronous batches, are applied right away and never rolled back.
+   * @param {Function} fn - Async function receiving the draft.
+   * @param {object} [origin] - Origin of the change events.
+   * @returns {Promise<*>} Value resolved by the function.
+   * @example
+   * await state.batch_async(async draft => {
+   *   draft.region = await fetch_region();
+   *   draft.year = 2021;
+   * });
+   */
+  async batch_async(fn, origin) {
+    const staged = new Map();
+    const result = await fn(this.#draft(staged));
+    this.batch(() => staged.forEach((value, property) => this.set(property, value)), origin);
+    return result;
+  }
+
+  /**
+   * @method #defer_ready
+   * @private
+   * @description Makes a new pending ready promise. Its rejection is marked
+   * as handled since failures are also reported by the "error" event.
+   */
+  #defer_ready() {
+    const deferred = {};
+    deferred.promise = new Promise((resolve, reject) => Object.assign(deferred, { resolve: resolve, reject: reject }));
+    deferred.promise.catch(() => {});
+    this.#ready = deferred;
+  }
+
   /**
    * @method initialize
-   * @description Asynchronously initializes the application state.
-   * @throws {Error} If not implemented by subclass.
+   * @description Asynchronously initializes the application state, called
+   * by load(). Subclasses override it to fetch their data, throwing makes
+   * load() retry.
+   * @returns {Promise<void>}
+   */
+  async initialize() {}
+
+  /**
+   * @method load
+   * @description Runs initialize() with a managed lifecycle. Emits "busy",
+   * then "idle" when it is done, retries failed attempts with backoff
+   * (emitting "retry" with { error, attempt, delay }) and ends with the
+   * sticky "ready" or with "error" ({ error, message, name }) once the
+   * attempts are exhausted. Calls made while loading or ready share the
+   * same outcome, a call made after a failure starts over.
+   * @param {object} [options] - Overrides the static retry options.
+   * @param {number} [options.attempts] - Maximum number of attempts.
+   * @param {number} [options.delay] - Delay before the first retry, in ms.
+   * @param {number} [options.factor] - Delay multiplier between retries.
+   * @param {number} [options.max_delay] - Maximum delay, in ms.
+   * @param {number} [options.jitter] - Random part of the delay, 0 to 1.
+   * @param {AbortSignal} [options.signal] - Signal stopping the retries,
+   * the load then fails with the abort reason.
+   * @param {string} [options.message] - Message of the "busy" event.
+   * @returns {Promise<boolean>} True if the state is ready, failures are
+   * reported by the "error" event instead of rejecting.
+   * @example
+   * waiting.handle_widget(state);
+   * app.handle_error(state);
+   * await state.load({ attempts: 5 });
+   */
+  async load(options) {
+    if (this.#status == "loading" || this.#status == "ready") return this.ready.then(() => true, () => false);
+    const o = Object.assign({}, this.constructor.retry, options);
+    if (this.#status == "error") this.#defer_ready();
+    this.#status = "loading";
+    super.emit("busy", { state: this, message: o.message });
+    o.on_retry = (error, attempt, delay) => super.emit("retry", { state: this, error: error, attempt: attempt, delay: delay });
+    try {
+      await Core.retry(() => this.initialize(), o);
+    } catch (error) {
+      return this.#fail(error);
+    }
+    this.#status = "ready";
+    super.emit("idle", { state: this });
+    this.emit("ready");
+    this.#ready.resolve(this);
+    return true;
+  }
+
+  /**
+   * @method #fail
+   * @private
+   * @description Ends a failed load, releases the waiting widgets then
+   * emits "error" and rejects the ready promise.
+   * @param {Error} error - Error of the last attempt.
+   * @returns {boolean} False.
+   */
+  #fail(error) {
+    this.#status = "error";
+    super.emit("idle", { state: this });
+    super.emit("error", { state: this, error: error, message: error?.message ?? String(error), name: error?.name });
+    this.#ready.reject(error);
+    return false;
+  }
+
+  /**
+   * @method get
+   * @description Gets the value of a declared or computed property.
+   * @param {string} property - Property name.
+   * @returns {*} Property value.
+   * @throws {Error} If the property is not declared.
+   * @example
+   * state.get("year"); // Same as state.year
+   */
+  get(property) {
+    this.#tracking[this.#tracking.length - 1]?.add(property);
+    if (this.#computed.has(property)) return this.#evaluate(property);
+    this.#declaration(property);
+    return this.#values.get(property);
+  }
+
+  /**
+   * @method set
+   * @description Sets a declared property, converting the value to the
+   * declared type. When the value changes, first emits the cancelable
+   * "changing:<property>" with { property, old_value, new_value }, a
+   * listener calling preventDefault() vetoes the assignment. Then emits
+   * "change:<property>" with the same fields, the same for each computed
+   * property whose value changed, then "change" with the first change's
+   * fields and "changes", the list of all of them. Inside a batch, the
+   * "change" events are sent when the batch ends.
+   * @param {string} property - Property name.
+   * @param {*} value - New value.
+   * @param {object} [origin] - Event origin, its listeners are skipped
+   * (ignored inside a batch, the batch origin is used).
+   * @returns {boolean} True if the value changed, false if it was the same
+   * or the change was vetoed.
+   * @throws {Error} If the property is not declared.
+   * @example
+   * state.set("year", 2021, this); // Same as state.year = 2021, with an origin
+   * state.on("changing:year", ev => { if (ev.new_value < 2000) ev.preventDefault(); });
+   * state.year = 1990; // Vetoed, state.year is unchanged
    */
-  async initialize() {
-    throw new Error("initialize function must be implemented");
+  set(property, value, origin) {
+    const declaration = this.#declaration(property);
+    const old_value = this.#values.get(property);
+    const new_value = State.#coerce(declaration, value);
+    if (State.#same(declaration, old_value, new_value)) return false;
+    const changing = { state: this, property: property, old_value: old_value, new_value: new_value };
+    if (super.emit(`changing:${property}`, changing, origin).defaultPrevented) return false;
+    this.#values.set(property, new_value);
+    if (this.#batch) {
+      if (!this.#batch.old_values.has(property)) this.#batch.old_values.set(property, old_value);
+      this.#batch.journal.push([property, old_value]);
+      this.#invalidate(property, this.#batch.invalidated);
+      return true;
+    }
+    const invalidated = this.#invalidate(property);
+    this.#notify([{ property: property, old_value: old_value, new_value: new_value }], invalidated, origin);
+    return true;
   }
 
   /**
@@ -23,10 +601,13 @@ export default class State extends Evented {
    * @description Emits an event with state in payload.
    * @param {string} event - Event name.
    * @param {object} origin - Event origin.
+   * @returns {object} Dispatched event, check defaultPrevented to know if a
+   * listener vetoed the change.
    * @example
    * this.emit("state-changed", origin); // Emits event with state
+   * if (this.emit("reset").defaultPrevented) return; // Vetoed
    */
   emit(event, origin) {
-    super.emit(event, { state: this }, origin);
+    return super.emit(event, { state: this }, origin);
   }
-}
\ No newline at end of file
+}
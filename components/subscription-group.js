@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * @module components/subscription-group
+ * @class SubscriptionGroup
+ * @description Collects subscriptions so they can be released all at once,
+ * for example when a component is removed from the page.
+ */
+export default class SubscriptionGroup {
+  /**
+   * @private
+   * @type {object[]}
+   * @description Subscriptions owned by the group.
+   */
+  #subscriptions;
+
+  /**
+   * @private
+   * @type {AbortController|null}
+   * @description Controller aborted when the group is disposed.
+   */
+  #controller;
+
+  /**
+   * @getter
+   * @returns {number} Number of subscriptions still held by the group.
+   */
+  get size() { return this.#subscriptions.length; }
+
+  /**
+   * @getter
+   * @returns {AbortSignal} Signal aborted when the group is disposed, it can
+   * be passed to addEventListener, fetch or on().
+   * @example
+   * window.addEventListener("resize", fn, { signal: group.signal });
+   */
+  get signal() {
+    if (!this.#controller) this.#controller = new AbortController();
+    return this.#controller.signal;
+  }
+
+  /**
+   * @constructor
+   * @description Initializes an empty group.
+   * @example
+   * const group = new SubscriptionGroup();
+   */
+  constructor() {
+    this.#subscriptions = [];
+    this.#controller = null;
+  }
+
+  /**
+   * @method add
+   * @description Adds a subscription to the group.
+   * @param {object} subscription - Object with a dispose() method.
+   * @returns {object} The added subscription.
+   * @example
+   * group.add(state.on("change", fn));
+   */
+  add(subscription) {
+    // Drop subscriptions that were disposed on their own (ex: once listeners)
+    this.#subscriptions = this.#subscriptions.filter(s => !s.disposed);
+    this.#subscriptions.push(subscription);
+    return subscription;
+  }
+
+  /**
+   * @method add_many
+   * @description Adds multiple subscriptions to the group.
+   * @param {object[]} subscriptions - Objects with a dispose() method.
+   * @example
+   * group.add_many([state.on("change", fn), map.on("busy", fn)]);
+   */
+  add_many(subscriptions) {
+    subscriptions.forEach(s => this.add(s));
+  }
+
+  /**
+   * @method dispose
+   * @description Disposes every subscription and aborts the group signal.
+   * The group is emptied and can be reused afterwards.
+   * @example
+   * group.dispose(); // Releases everything
+   */
+  dispose() {
+    const subscriptions = this.#subscriptions;
+    this.#subscriptions = [];
+    subscriptions.forEach(s => s.dispose());
+    this.#controller?.abort();
+    this.#controller = null;
+  }
+}
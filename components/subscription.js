@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * @module components/subscription
+ * @class Subscription
+ * @description Disposable handle releasing an event listener or any other
+ * resource. Disposing is idempotent and can be tied to an AbortSignal.
+ */
+export default class Subscription {
+  /**
+   * @private
+   * @type {Function|null}
+   * @description Releases the underlying resource.
+   */
+  #release;
+
+  /**
+   * @private
+   * @type {Function|null}
+   * @description Detaches the abort listener from the linked signal.
+   */
+  #unlink;
+
+  /**
+   * @private
+   * @type {boolean}
+   * @description Indicates if the subscription was disposed.
+   */
+  #disposed;
+
+  /**
+   * @getter
+   * @returns {boolean} True once the subscription is disposed.
+   */
+  get disposed() { return this.#disposed; }
+
+  /**
+   * @constructor
+   * @description Initializes the subscription with a release function.
+   * @param {Function} [release] - Releases the underlying resource.
+   * @example
+   * const subscription = new Subscription(() => window.removeEventListener("resize", fn));
+   */
+  constructor(release) {
+    this.#release = release ?? null;
+    this.#unlink = null;
+    this.#disposed = false;
+  }
+
+  /**
+   * @method dispose_on
+   * @description Disposes the subscription when a signal aborts. Disposes
+   * it right away if the signal is already aborted.
+   * @param {AbortSignal} [signal] - Signal that ends the subscription.
+   * @returns {Subscription} This subscription.
+   * @example
+   * const controller = new AbortController();
+   * subscription.dispose_on(controller.signal);
+   * controller.abort(); // Disposes the subscription
+   */
+  dispose_on(signal) {
+    if (!signal || this.disposed) return this;
+    if (signal.aborted) {
+      this.dispose();
+      return this;
+    }
+    const on_abort = () => this.dispose();
+    signal.addEventListener("abort", on_abort, { once: true });
+    this.#unlink = () => signal.removeEventListener("abort", on_abort);
+    return this;
+  }
+
+  /**
+   * @method dispose
+   * @description Releases the underlying resource, only the first call has
+   * an effect.
+   * @example
+   * const subscription = state.on("change", fn);
+   * subscription.dispose(); // Removes the listener
+   */
+  dispose() {
+    if (this.disposed) return;
+    this.#disposed = true;
+    this.#unlink?.();
+    this.#release?.();
+    this.#unlink = null;
+    this.#release = null;
+  }
+}
@@ -0,0 +1,279 @@
+'use strict';
+
+import Evented from './evented.js';
+
+/**
+ * @module components/tracer
+ * @class Tracer
+ * @description Opt-in recorder of emitted events. Once started, it keeps
+ * timestamped entries in a bounded buffer with the emitter, origin and
+ * listeners of each event, and flags "busy" events without a matching "idle".
+ */
+export default class Tracer {
+  /**
+   * @private
+   * @type {object[]}
+   * @description Recorded entries, oldest first.
+   */
+  #entries;
+
+  /**
+   * @private
+   * @type {number}
+   * @description Maximum number of entries kept.
+   */
+  #size;
+
+  /**
+   * @private
+   * @type {number}
+   * @description Auto-incremented entry ID.
+   */
+  #next_id;
+
+  /**
+   * @private
+   * @type {Map<object, object[]>}
+   * @description "busy" entries waiting for an "idle", by emitter.
+   */
+  #pending;
+
+  /**
+   * @private
+   * @type {Function[]}
+   * @description Classes whose emit() is hooked to this tracer.
+   */
+  #targets;
+
+  /**
+   * @private
+   * @type {WeakMap<object, string>}
+   * @description Readable names given to emitters and origins.
+   */
+  #names;
+
+  /**
+   * @private
+   * @type {number}
+   * @description Auto-incremented ID used in readable names.
+   */
+  #next_name_id;
+
+  /**
+   * @getter
+   * @returns {object[]} Copy of the recorded entries, oldest first.
+   */
+  get entries() { return [...this.#entries]; }
+
+  /**
+   * @getter
+   * @returns {number} Maximum number of entries kept.
+   */
+  get size() { return this.#size; }
+
+  /**
+   * @setter
+   * @param {number} value - Maximum number of entries kept.
+   */
+  set size(value) {
+    this.#size = Math.max(1, value);
+    this.#entries.splice(0, this.#entries.length - this.#size);
+  }
+
+  /**
+   * @getter
+   * @returns {boolean} True if the tracer is hooked to at least one class.
+   */
+  get started() { return this.#targets.length > 0; }
+
+  /**
+   * @constructor
+   * @description Initializes an idle tracer.
+   * @param {number} [size=1000] - Maximum number of entries kept.
+   * @example
+   * const tracer = new Tracer(500);
+   */
+  constructor(size) {
+    this.#entries = [];
+    this.#size = size ?? 1000;
+    this.#next_id = 0;
+    this.#pending = new Map();
+    this.#targets = [];
+    this.#names = new WeakMap();
+    this.#next_name_id = 0;
+  }
+
+  /**
+   * @method start
+   * @description Hooks the tracer to the emit() of the given classes.
+   * @param {...Function} classes - Classes with a static tracer property,
+   * Evented and WebComponent (defaults to Evented).
+   * @returns {Tracer} This tracer.
+   * @example
+   * const tracer = new Tracer().start(Evented, WebComponent);
+   */
+  start(...classes) {
+    if (classes.length == 0) classes = [Evented];
+    classes.forEach(c => {
+      c.tracer = this;
+      if (this.#targets.indexOf(c) == -1) this.#targets.push(c);
+    });
+    return this;
+  }
+
+  /**
+   * @method stop
+   * @description Unhooks the tracer, recorded entries are kept.
+   * @example
+   * tracer.stop();
+   */
+  stop() {
+    this.#targets.forEach(c => {
+      if (c.tracer === this) c.tracer = null;
+    });
+    this.#targets = [];
+  }
+
+  /**
+   * @method record
+   * @description Records an emitted event, called by the hooked emit().
+   * @param {object} emitter - Object emitting the event.
+   * @param {object} event - Emitted event.
+   * @param {object} [origin] - Event origin.
+   * @param {object[]|null} listeners - Array filled with the listener
+   * objects called, null when they can't be known (DOM events).
+   * @returns {object} Recorded entry.
+   */
+  record(emitter, event, origin, listeners) {
+    const entry = {
+      id: ++this.#next_id,
+      time: performance.now(),
+      timestamp: Date.now(),
+      type: event.type,
+      emitter: emitter,
+      origin: origin ?? null,
+      listeners: listeners,
+      pending: false
+    };
+    if (entry.type == "busy") this.#add_pending(entry);
+    else if (entry.type == "idle") this.#clear_pending(emitter);
+    this.#entries.push(entry);
+    if (this.#entries.length > this.#size) this.#entries.shift();
+    return entry;
+  }
+
+  /**
+   * @method #add_pending
+   * @private
+   * @description Flags a "busy" entry as waiting for an "idle".
+   * @param {object} entry - "busy" entry.
+   */
+  #add_pending(entry) {
+    entry.pending = true;
+    if (!this.#pending.has(entry.emitter)) this.#pending.set(entry.emitter, []);
+    this.#pending.get(entry.emitter).push(entry);
+  }
+
+  /**
+   * @method #clear_pending
+   * @private
+   * @description Matches every pending "busy" entry of an emitter with its
+   * "idle", the same way wWaiting releases a widget.
+   * @param {object} emitter - Object emitting "idle".
+   */
+  #clear_pending(emitter) {
+    (this.#pending.get(emitter) || []).forEach(e => e.pending = false);
+    this.#pending.delete(emitter);
+  }
+
+  /**
+   * @method query
+   * @description Filters the recorded entries.
+   * @param {object} [filter] - Filter options.
+   * @param {string} [filter.type] - Event type or wildcard pattern.
+   * @param {object} [filter.emitter] - Emitting object.
+   * @param {number} [filter.since] - Minimum timestamp (ms since epoch).
+   * @param {number} [filter.until] - Maximum timestamp (ms since epoch).
+   * @returns {object[]} Matching entries, oldest first.
+   * @example
+   * tracer.query({ type: "filter:*", since: Date.now() - 5000 });
+   */
+  query(filter) {
+    const f = filter || {};
+    return this.#entries.filter(e => {
+      if (f.type && !Evented.matches(f.type, e.type)) return false;
+      if (f.emitter && f.emitter !== e.emitter) return false;
+      if (f.since != null && e.timestamp < f.since) return false;
+      if (f.until != null && e.timestamp > f.until) return false;
+      return true;
+    });
+  }
+
+  /**
+   * @method pending_busy
+   * @description Lists the "busy" events that never got a matching "idle",
+   * these are the widgets keeping wWaiting on "Working...".
+   * @param {number} [min_age=0] - Only entries older than this, in ms.
+   * @returns {object[]} Pending "busy" entries, oldest first.
+   * @example
+   * tracer.pending_busy(10000).forEach(e => console.warn(tracer.describe(e.emitter)));
+   */
+  pending_busy(min_age) {
+    const now = Date.now();
+    const entries = [...this.#pending.values()].flat();
+    return entries.filter(e => now - e.timestamp >= (min_age || 0)).sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * @method clear
+   * @description Removes every recorded entry and pending "busy" event.
+   */
+  clear() {
+    this.#entries = [];
+    this.#pending = new Map();
+  }
+
+  /**
+   * @method describe
+   * @description Gives a readable name to an emitter, origin or listener
+   * target (e.g., "FilterState#3").
+   * @param {*} obj - Object to describe.
+   * @returns {string|null} Readable name or null.
+   */
+  describe(obj) {
+    if (obj == null) return null;
+    if (typeof obj != "object" && typeof obj != "function") return String(obj);
+    if (!this.#names.has(obj)) {
+      const name = obj.constructor?.name || typeof obj;
+      this.#names.set(obj, `${name}#${++this.#next_name_id}`);
+    }
+    return this.#names.get(obj);
+  }
+
+  /**
+   * @method to_json
+   * @description Exports entries as JSON, objects are replaced by their
+   * readable names.
+   * @param {object[]} [entries] - Entries to export (defaults to all).
+   * @returns {string} JSON string.
+   * @example
+   * Net.download("trace.json", URL.createObjectURL(new Blob([tracer.to_json()])));
+   */
+  to_json(entries) {
+    const list = (entries || this.#entries).map(e => ({
+      id: e.id,
+      time: e.time,
+      timestamp: e.timestamp,
+      type: e.type,
+      emitter: this.describe(e.emitter),
+      origin: this.describe(e.origin),
+      listeners: e.listeners?.map(h => ({
+        target: this.describe(h.target),
+        origin: this.describe(h.origin),
+        callback: h.callback.name || "anonymous"
+      })) ?? null,
+      pending: e.pending
+    }));
+    return JSON.stringify(list, null, 2);
+  }
+}
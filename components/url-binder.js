@@ -0,0 +1,246 @@
+'use strict';
+
+import SubscriptionGroup from './subscription-group.js';
+import Core from '../tools/core.js';
+
+/**
+ * @module components/url-binder
+ * @class UrlBinder
+ * @description Keeps State properties and URL parameters in sync. The URL is
+ * read when the binder is created and on "popstate" (back and forward
+ * buttons), and it is updated with history.pushState or replaceState when a
+ * bound property changes.
+ * @example
+ * const binder = new UrlBinder(state, {
+ *   region: { param: "r" },
+ *   year: { param: "y", type: "number" },
+ *   layers: { type: "array" },
+ *   extent: { location: "hash", history: "replace" }
+ * });
+ * // ?r=QC&y=2021&layers=roads,rivers#extent=...
+ */
+export default class UrlBinder {
+  /**
+   * @private
+   * @type {State}
+   * @description Bound state.
+   */
+  #state;
+
+  /**
+   * @private
+   * @type {Map<string, object>}
+   * @description Bindings by property name.
+   */
+  #bindings;
+
+  /**
+   * @private
+   * @type {Map<string, *>}
+   * @description Property values before the URL was applied, used when a
+   * parameter is missing.
+   */
+  #defaults;
+
+  /**
+   * @private
+   * @type {SubscriptionGroup}
+   * @description State and window listeners.
+   */
+  #subscriptions;
+
+  /**
+   * @static
+   * @type {object}
+   * @description Serializers by type name, each one converts a value to a
+   * parameter string (serialize) and back (parse).
+   */
+  static serializers = {
+    string: {
+      serialize: (value) => String(value),
+      parse: (str) => str
+    },
+    number: {
+      serialize: (value) => String(value),
+      parse: (str) => (str === "" || isNaN(Number(str))) ? null : Number(str)
+    },
+    boolean: {
+      serialize: (value) => value ? "1" : "0",
+      parse: (str) => str === "1" || str === "true"
+    },
+    date: {
+      serialize: (value) => {
+        const date = new Date(value);
+        if (date.getHours() || date.getMinutes() || date.getSeconds() || date.getMilliseconds()) return date.toISOString();
+        return [date.getFullYear(), date.getMonth() + 1, date.getDate()].map((n, i) => String(n).padStart(i ? 2 : 4, "0")).join("-");
+      },
+      parse: (str) => Core.parse_date(str)
+    }
+  };
+
+  /**
+   * @getter
+   * @returns {State} Bound state.
+   */
+  get state() { return this.#state; }
+
+  /**
+   * @static
+   * @method array_of
+   * @description Makes a serializer for arrays, items are separated by
+   * commas and converted with an item serializer.
+   * @param {object} serializer - Item serializer.
+   * @returns {object} Array serializer.
+   * @example
+   * new UrlBinder(state, { years: { type: UrlBinder.array_of(UrlBinder.serializers.number) } });
+   */
+  static array_of(serializer) {
+    return {
+      serialize: (value) => value.map(v => encodeURIComponent(serializer.serialize(v))).join(","),
+      parse: (str) => str === "" ? [] : str.split(",").map(s => serializer.parse(decodeURIComponent(s)))
+    };
+  }
+
+  /**
+   * @constructor
+   * @description Binds state properties to URL parameters and applies the
+   * current URL to the state.
+   * @param {State} state - State to bind.
+   * @param {object} bindings - Binding options by property name.
+   * @param {string} [bindings.*.param] - Parameter name (defaults to the property name).
+   * @param {string|object} [bindings.*.type="string"] - Serializer name
+   * ("string", "number", "boolean", "date", "array") or serializer object.
+   * @param {string} [bindings.*.location="query"] - "query" or "hash".
+   * @param {string} [bindings.*.history] - "push" or "replace" (defaults to options.history).
+   * @param {object} [options] - Binder options.
+   * @param {string} [options.history="push"] - Default history mode.
+   */
+  constructor(state, bindings, options) {
+    this.#state = state;
+    this.#bindings = new Map();
+    this.#defaults = new Map();
+    this.#subscriptions = new SubscriptionGroup();
+    for (const property in bindings) {
+      const b = bindings[property] || {};
+      this.#bindings.set(property, {
+        param: b.param ?? property,
+        serializer: UrlBinder.#serializer(b.type),
+        location: b.location ?? "query",
+        history: b.history ?? options?.history ?? "push"
+      });
+      this.#defaults.set(property, state.get(property));
+    }
+    this.#subscriptions.add(state.on("change", ev => this.#on_state_change(ev), this));
+    window.addEventListener("popstate", () => this.restore(), { signal: this.#subscriptions.signal });
+    this.restore();
+  }
+
+  /**
+   * @static
+   * @method #serializer
+   * @private
+   * @description Resolves the serializer of a binding.
+   * @param {string|object} [type] - Serializer name or object.
+   * @returns {object} Serializer.
+   * @throws {Error} If the serializer name is unknown.
+   */
+  static #serializer(type) {
+    if (typeof type == "object") return type;
+    if (type === "array") return UrlBinder.array_of(UrlBinder.serializers.string);
+    const serializer = UrlBinder.serializers[type ?? "string"];
+    if (!serializer) throw new Error(`Unknown URL serializer '${type}'.`);
+    return serializer;
+  }
+
+  /**
+   * @static
+   * @method #read_params
+   * @private
+   * @description Reads the query and hash parameters of a URL.
+   * @param {URL} url - URL to read.
+   * @returns {object} URLSearchParams for "query" and "hash".
+   */
+  static #read_params(url) {
+    return { query: url.searchParams, hash: new URLSearchParams(url.hash.slice(1)) };
+  }
+
+  /**
+   * @method #serialize
+   * @private
+   * @description Serializes the current value of a property.
+   * @param {string} property - Property name.
+   * @param {*} value - Value to serialize.
+   * @returns {string|null} Parameter value or null to remove it.
+   */
+  #serialize(property, value) {
+    if (value == null) return null;
+    return this.#bindings.get(property).serializer.serialize(value);
+  }
+
+  /**
+   * @method #on_state_change
+   * @private
+   * @description Writes the URL once when bound properties change, adding a
+   * history entry if one of them uses the "push" mode. Events without
+   * changes, emitted by hand with state.emit(), are ignored.
+   * @param {object} ev - State "change" event.
+   */
+  #on_state_change(ev) {
+    if (ev.replayed || !ev.changes) return;
+    const bindings = ev.changes.filter(c => this.#bindings.has(c.property)).map(c => this.#bindings.get(c.property));
+    if (bindings.length == 0) return;
+    this.update(bindings.some(b => b.history === "push") ? "push" : "replace");
+  }
+
+  /**
+   * @method restore
+   * @description Applies the URL parameters to the state. Properties whose
+   * parameter is missing go back to the value they had when the binder was
+   * created.
+   * @example
+   * binder.restore(); // Called automatically on "popstate"
+   */
+  restore() {
+    const params = UrlBinder.#read_params(new URL(location.href));
+    this.state.batch(() => this.#bindings.forEach((b, property) => {
+      const str = params[b.location].get(b.param);
+      const value = str == null ? this.#defaults.get(property) : b.serializer.parse(str);
+      this.state.set(property, value);
+    }), this);
+  }
+
+  /**
+   * @method update
+   * @description Writes the bound properties to the URL. Parameters whose
+   * value is null or equal to the default are removed.
+   * @param {string} [mode="push"] - "push" adds a history entry, "replace"
+   * updates the current one.
+   * @example
+   * binder.update("replace");
+   */
+  update(mode) {
+    const url = new URL(location.href);
+    const params = UrlBinder.#read_params(url);
+    this.#bindings.forEach((b, property) => {
+      const str = this.#serialize(property, this.state.get(property));
+      const default_str = this.#serialize(property, this.#defaults.get(property));
+      if (str == null || str === default_str) params[b.location].delete(b.param);
+      else params[b.location].set(b.param, str);
+    });
+    if ([...this.#bindings.values()].some(b => b.location === "hash")) {
+      const hash = params.hash.toString();
+      url.hash = hash ? `#${hash}` : "";
+    }
+    if (url.href === location.href) return;
+    if (mode === "replace") history.replaceState(history.state, "", url.href);
+    else history.pushState(history.state, "", url.href);
+  }
+
+  /**
+   * @method dispose
+   * @description Stops syncing the state and the URL.
+   */
+  dispose() {
+    this.#subscriptions.dispose();
+  }
+}
@@ -20,6 +20,67 @@ export default class Core {
    */
   static locale = document.documentElement.lang || "en";
 
+  /**
+   * @static
+   * @type {Object.<string, string>}
+   * @description Intl locale used to format numbers and dates, by
+   * application locale. Locales not listed are given to Intl as they are.
+   */
+  static intl_locales = { en: "en-CA", fr: "fr-CA" };
+
+  /**
+   * @static
+   * @type {string[]}
+   * @description Supported locales, languages (e.g., "es") and region
+   * variants (e.g., "es-MX"). An object with one of them as a key, or a
+   * region variant of one of them, is localizable.
+   * @example
+   * Core.locales = ["en", "fr", "iu", "es", "es-MX"];
+   */
+  static locales = ["en", "fr"];
+
+  /**
+   * @static
+   * @type {string[]}
+   * @description Locales tried after a locale and its parents, in order.
+   */
+  static fallback = ["en"];
+
+  /**
+   * @private
+   * @static
+   * @type {string[]}
+   * @description Keys never copied by merge() and clone(), they would
+   * change the prototype of the target or of every object.
+   */
+  static #unsafe_keys = ["__proto__", "constructor", "prototype"];
+
+  /**
+   * @static
+   * @method set_locale
+   * @description Changes the current locale and the document lang, then
+   * dispatches "locale-change" on the document with { locale, old_locale }
+   * as detail. Connected web components re-localize themselves.
+   * @param {string} locale - New locale (e.g., "fr").
+   * @returns {boolean} True if the locale changed.
+   * @example
+   * document.addEventListener("locale-change", ev => console.log(ev.detail.locale));
+   * Core.set_locale("fr"); // Logs "fr"
+   */
+  static set_locale(locale) {
+    const old_locale = Core.locale;
+
+    if (!locale || locale == old_locale) return false;
+
+    Core.locale = locale;
+
+    document.documentElement.lang = locale;
+
+    document.dispatchEvent(new CustomEvent("locale-change", { detail: { locale: locale, old_locale: old_locale } }));
+
+    return true;
+  }
+
   /**
    * @static
    * @method mixin
@@ -38,31 +99,325 @@ export default class Core {
     return a;
   }
 
+  /**
+   * @static
+   * @method is_plain_object
+   * @description Tells if a value is a plain object, made by an object
+   * literal, JSON.parse() or Object.create(null).
+   * @param {*} value - Value to check.
+   * @returns {boolean} True if the value is a plain object.
+   * @example
+   * Core.is_plain_object({ a: 1 }); // true
+   * Core.is_plain_object(new Date()); // false
+   */
+  static is_plain_object(value) {
+    if (typeof value !== 'object' || value === null) return false;
+
+    const proto = Object.getPrototypeOf(value);
+
+    return proto === Object.prototype || proto === null;
+  }
+
+  /**
+   * @static
+   * @method clone
+   * @description Deep copies plain objects, arrays, Dates, Maps, Sets and
+   * RegExps. Functions, DOM nodes and class instances are kept by reference,
+   * so configs with callbacks can be cloned. Unsafe keys (__proto__,
+   * constructor, prototype) are dropped.
+   * @param {*} value - Value to clone.
+   * @returns {*} Cloned value.
+   * @example
+   * const snapshot = Core.clone(config);
+   */
+  static clone(value) {
+    if (Array.isArray(value)) return value.map(v => Core.clone(v));
+
+    if (value instanceof Date) return new Date(value.getTime());
+
+    if (value instanceof RegExp) return new RegExp(value.source, value.flags);
+
+    if (value instanceof Map) return new Map(Array.from(value, ([k, v]) => [k, Core.clone(v)]));
+
+    if (value instanceof Set) return new Set(Array.from(value, v => Core.clone(v)));
+
+    if (!Core.is_plain_object(value)) return value;
+
+    const copy = Object.getPrototypeOf(value) === null ? Object.create(null) : {};
+
+    Object.keys(value).forEach(key => {
+      if (!Core.#unsafe_keys.includes(key)) copy[key] = Core.clone(value[key]);
+    });
+
+    return copy;
+  }
+
+  /**
+   * @static
+   * @method merge
+   * @description Deep merges a source object into a target object. Plain
+   * objects are merged recursively, other values are cloned into the
+   * target and undefined values are skipped. Unsafe keys (__proto__,
+   * constructor, prototype) are ignored, so untrusted JSON can be merged.
+   * @param {object} target - Target object, modified.
+   * @param {object} source - Source object.
+   * @param {object} [options] - Merge options.
+   * @param {string} [options.arrays="replace"] - Array strategy, "replace"
+   * the target array, "concat" the source items or "merge" items with the
+   * same key (other items are added, primitives once).
+   * @param {string|Function} [options.key="id"] - Item key of the "merge"
+   * strategy, a property name or a function receiving the item.
+   * @returns {object} Target object.
+   * @example
+   * const config = Core.merge(Core.clone(defaults), user_config, { arrays: "merge", key: "id" });
+   * // { layers: [{ id: "roads", visible: true }] } + { layers: [{ id: "roads", visible: false }] }
+   * // gives { layers: [{ id: "roads", visible: false }] }
+   */
+  static merge(target, source, options) {
+    const o = Core.mixin({ arrays: "replace", key: "id" }, options);
+
+    Object.keys(source ?? {}).forEach(key => {
+      const value = source[key];
+
+      if (value === undefined || Core.#unsafe_keys.includes(key)) return;
+
+      if (Array.isArray(value)) target[key] = Core.#merge_array(target[key], value, o);
+
+      else if (Core.is_plain_object(value)) {
+        const current = Core.is_plain_object(target[key]) ? target[key] : {};
+
+        target[key] = Core.merge(current, value, o);
+      }
+
+      else target[key] = Core.clone(value);
+    });
+
+    return target;
+  }
+
+  /**
+   * @static
+   * @method #merge_array
+   * @private
+   * @description Combines a target and a source array with a merge strategy.
+   * @param {*} target - Target value, ignored if it isn't an array.
+   * @param {Array} source - Source array.
+   * @param {object} options - Merge options ({ arrays, key }).
+   * @returns {Array} Combined array.
+   * @throws {Error} If the array strategy is unknown.
+   */
+  static #merge_array(target, source, options) {
+    const items = Core.clone(source);
+
+    if (!Array.isArray(target) || options.arrays === "replace") return items;
+
+    if (options.arrays === "concat") return target.concat(items);
+
+    if (options.arrays !== "merge") throw new Error(`Unknown array merge strategy '${options.arrays}'.`);
+
+    const key_of = typeof options.key == "function" ? options.key : (item => item?.[options.key]);
+
+    items.forEach(item => {
+      if (!Core.is_plain_object(item)) {
+        if (!target.includes(item)) target.push(item);
+
+        return;
+      }
+
+      const key = key_of(item);
+
+      const match = key == null ? null : target.find(t => Core.is_plain_object(t) && key_of(t) === key);
+
+      if (match) Core.merge(match, item, options);
+
+      else target.push(item);
+    });
+
+    return target;
+  }
+
   /**
    * @static
    * @method debounce
-   * @description Delays function execution until after a timeout.
+   * @description Delays function execution until calls stop for a timeout.
+   * The function is called with the arguments of the last call, at the
+   * start of a burst of calls (leading), at its end (trailing) or both, and
+   * at least every max_wait ms while calls keep coming (without trailing
+   * calls, the next call after max_wait leads again). The debounced
+   * function has cancel(), flush() and pending() methods.
    * @param {Function} delegate - Function to debounce.
    * @param {number} [threshold=100] - Timeout in milliseconds.
+   * @param {object} [options] - Debounce options.
+   * @param {boolean} [options.leading=false] - Call at the start of a burst.
+   * @param {boolean} [options.trailing=true] - Call at the end of a burst.
+   * @param {number} [options.max_wait] - Maximum delay before a call, in ms.
    * @returns {Function} Debounced function.
    * @example
    * const log = Core.debounce(() => console.log("Hi"), 200);
    * log(); // Logs "Hi" after 200ms
+   * log.cancel(); // Or drops the pending call
+   * const save = Core.debounce(() => this.save(), 500, { max_wait: 2000 });
    */
-  static debounce(delegate, threshold) {
-    let timeout;
+  static debounce(delegate, threshold, options) {
+    const wait = threshold || 100;
 
-    return function debounced(...args) {
-      function delayed() {
-        delegate.apply(this, args);
+    const leading = !!options?.leading;
 
-        timeout = null;
+    const trailing = options?.trailing ?? true;
+
+    let timeout = null;
+
+    let max_timeout = null;
+
+    let pending = null;
+
+    let armed = true;
+
+    let result;
+
+    function invoke() {
+      const call = pending;
+
+      pending = null;
+
+      result = delegate.apply(call.context, call.args);
+
+      return result;
+    }
+
+    function end_burst() {
+      clearTimeout(timeout);
+
+      clearTimeout(max_timeout);
+
+      timeout = max_timeout = null;
+
+      if (trailing && pending) invoke();
+
+      pending = null;
+
+      armed = true;
+    }
+
+    function max_wait_reached() {
+      max_timeout = null;
+
+      // Without trailing calls, the edge only lets the next call lead again
+      if (!trailing) {
+        pending = null;
+
+        armed = true;
       }
 
-      if (timeout) clearTimeout(timeout);
+      else if (pending) invoke();
+    }
+
+    function debounced(...args) {
+      const starting = armed;
 
-      timeout = setTimeout(delayed.bind(this), threshold || 100);
+      armed = false;
+
+      pending = { context: this, args: args };
+
+      if (starting && leading) invoke();
+
+      clearTimeout(timeout);
+
+      timeout = setTimeout(end_burst, wait);
+
+      if (options?.max_wait != null && max_timeout == null) max_timeout = setTimeout(max_wait_reached, options.max_wait);
+
+      return result;
+    }
+
+    debounced.cancel = () => {
+      pending = null;
+
+      end_burst();
+    };
+
+    debounced.flush = () => {
+      if (pending) invoke();
+
+      debounced.cancel();
+
+      return result;
     };
+
+    debounced.pending = () => pending != null;
+
+    return debounced;
+  }
+
+  /**
+   * @static
+   * @method throttle
+   * @description Limits function execution to once per interval, with the
+   * arguments of the last call. Same methods as a debounced function.
+   * @param {Function} delegate - Function to throttle.
+   * @param {number} [interval=100] - Interval in milliseconds.
+   * @param {object} [options] - Throttle options.
+   * @param {boolean} [options.leading=true] - Call at the start of an interval.
+   * @param {boolean} [options.trailing=true] - Call at the end of an interval.
+   * @returns {Function} Throttled function.
+   * @example
+   * const on_scroll = Core.throttle(() => this.update_position(), 100);
+   * window.addEventListener("scroll", on_scroll);
+   */
+  static throttle(delegate, interval, options) {
+    const wait = interval || 100;
+
+    return Core.debounce(delegate, wait, { leading: options?.leading ?? true, trailing: options?.trailing ?? true, max_wait: wait });
+  }
+
+  /**
+   * @static
+   * @method frame
+   * @description Schedules function execution on the next animation frame,
+   * calls made before the frame are merged into one with the arguments of
+   * the last call. Same methods as a debounced function.
+   * @param {Function} delegate - Function to schedule.
+   * @returns {Function} Scheduled function.
+   * @example
+   * const reposition = Core.frame(() => this.update_dropdown_position());
+   * window.addEventListener("resize", reposition);
+   */
+  static frame(delegate) {
+    let request = null;
+
+    let pending = null;
+
+    function invoke() {
+      const call = pending;
+
+      request = pending = null;
+
+      return delegate.apply(call.context, call.args);
+    }
+
+    function scheduled(...args) {
+      pending = { context: this, args: args };
+
+      if (request == null) request = requestAnimationFrame(invoke);
+    }
+
+    scheduled.cancel = () => {
+      if (request != null) cancelAnimationFrame(request);
+
+      request = pending = null;
+    };
+
+    scheduled.flush = () => {
+      if (!pending) return;
+
+      cancelAnimationFrame(request);
+
+      return invoke();
+    };
+
+    scheduled.pending = () => pending != null;
+
+    return scheduled;
   }
 
   /**
@@ -126,14 +481,16 @@ export default class Core {
   /**
    * @static
    * @method localize_json
-   * @description Localizes JSON object based on current locale.
-   * @param {object} json - JSON object with en/fr keys.
+   * @description Localizes JSON object based on current locale, every
+   * localizable object (see is_localizable()) is replaced by its value.
+   * @param {object} json - JSON object with locale keys.
+   * @param {string} [locale] - Locale to use (defaults to Core.locale).
    * @returns {object} Localized JSON object.
    * @example
    * const json = { text: { en: "Hello", fr: "Bonjour" } };
    * console.log(Core.localize_json(json)); // { text: "Hello" } if locale="en"
    */
-  static localize_json(json) {
+  static localize_json(json, locale) {
     function recursiveLocalize(obj) {
       // Iterate over all key-value pairs in the object
       for (const key in obj) {
@@ -142,9 +499,9 @@ export default class Core {
 
           if (typeof value === 'object' && value !== null) {
             // If the value is an object, we check if it's a localizable object
-            if ('en' in value || 'fr' in value) {
+            if (Core.is_localizable(value)) {
               // Use localize_value to get the localized string
-              obj[key] = Core.localize_value(value);
+              obj[key] = Core.localize_value(value, locale);
             } else {
               // If it's not a localizable object, recurse deeper
               recursiveLocalize(value);
@@ -163,15 +520,79 @@ export default class Core {
   /**
    * @static
    * @method localize_value
-   * @description Gets localized value based on current locale.
+   * @description Gets localized value based on current locale, trying each
+   * locale of locale_chain() then any other supported locale of the object.
    * @param {object} value - Object with locale keys or raw value.
-   * @returns {string|object} Localized value or original if no locale.
+   * @param {string} [locale] - Locale to use (defaults to Core.locale).
+   * @returns {string|object} Localized value, or the original if it is not
+   * localizable or has no value in any locale.
    * @example
-   * const val = { en: "Hello", fr: "Bonjour" };
+   * const val = { en: "Hello", fr: "Bonjour", "es-MX": "Hola" };
    * console.log(Core.localize_value(val)); // "Hello" if locale="en"
+   * console.log(Core.localize_value(val, "es-MX")); // "Hola"
+   * console.log(Core.localize_value(val, "fr-CA")); // "Bonjour"
+   */
+  static localize_value(value, locale) {
+    if (!Core.is_localizable(value)) return value;
+
+    const keys = Object.keys(value).filter(k => value[k] != null);
+
+    const key = Core.locale_chain(locale).find(l => keys.includes(l)) ?? keys.find(k => Core.is_supported(k));
+
+    return key === undefined ? value : value[key];
+  }
+
+  /**
+   * @static
+   * @method is_supported
+   * @description Tells if a locale is supported, directly or as a region
+   * variant of a supported language.
+   * @param {string} locale - Locale (e.g., "fr-CA").
+   * @returns {boolean} True if the locale is supported.
+   * @example
+   * console.log(Core.is_supported("fr-CA")); // true with the default locales
+   */
+  static is_supported(locale) {
+    return Core.locales.includes(locale) || Core.locales.includes(locale.split("-")[0]);
+  }
+
+  /**
+   * @static
+   * @method is_localizable
+   * @description Tells if a value is an object of localized values, an
+   * object with a supported locale as a key.
+   * @param {*} value - Value to check.
+   * @returns {boolean} True if the value is localizable.
+   * @example
+   * console.log(Core.is_localizable({ en: "Hello", fr: "Bonjour" })); // true
+   * console.log(Core.is_localizable({ id: 1 })); // false
+   */
+  static is_localizable(value) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) return false;
+
+    return Object.keys(value).some(k => Core.is_supported(k));
+  }
+
+  /**
+   * @static
+   * @method locale_chain
+   * @description Lists the locales tried to localize a value or a string,
+   * the locale, its parents then the fallback locales.
+   * @param {string} [locale] - Locale (defaults to Core.locale).
+   * @returns {string[]} Locales, most specific first.
+   * @example
+   * console.log(Core.locale_chain("fr-CA")); // ["fr-CA", "fr", "en"]
    */
-  static localize_value(value) {
-    return value?.[Core.locale] || value;
+  static locale_chain(locale) {
+    const parts = (locale || Core.locale).split("-");
+
+    const chain = parts.map((_, i) => parts.slice(0, parts.length - i).join("-"));
+
+    Core.fallback.forEach(l => {
+      if (!chain.includes(l)) chain.push(l);
+    });
+
+    return chain;
   }
 
   /**
@@ -187,28 +608,434 @@ export default class Core {
   static localize_number(value, locale) {
     if (value == null) return null;
 
-    var loc = (locale || Core.locale) == "en" ? "en-CA" : "fr-CA";
-
-    return new Number(value).toLocaleString(loc);
+    return new Number(value).toLocaleString(Core.intl_locale(locale));
   }
 
   /**
    * @static
    * @method localize_date_string
-   * @description Formats a YYYY-MM-DD date string based on locale.
-   * @param {string} dateString - Date in YYYY-MM-DD format.
+   * @description Formats a date as YYYY-MM-DD in English (any region), or
+   * DD-MM-YYYY otherwise.
+   * @param {string|number|Date} dateString - Date, see parse_date().
    * @param {string} [locale] - Locale to use (defaults to Core.locale).
-   * @returns {string} Localized date string.
+   * @returns {string} Localized date string, or the value itself if it
+   * can't be parsed.
    * @example
    * console.log(Core.localize_date_string("2023-01-15")); // "15-01-2023" if locale="fr"
    */
   static localize_date_string(dateString, locale) {
     locale = locale ?? Core.locale;
 
-    if (locale === "en") return dateString;
+    const date = Core.parse_date(dateString);
+
+    if (!date) return dateString;
+
+    const year = String(date.getFullYear()).padStart(4, "0");
+
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+
+    const day = String(date.getDate()).padStart(2, "0");
+
+    return locale.split("-")[0] === "en" ? `${year}-${month}-${day}` : `${day}-${month}-${year}`;
+  }
+
+  /**
+   * @static
+   * @method intl_locale
+   * @description Maps an application locale to the locale used by Intl.
+   * @param {string} [locale] - Locale to map (defaults to Core.locale).
+   * @returns {string} Intl locale (e.g., "fr-CA").
+   * @example
+   * console.log(Core.intl_locale("fr")); // "fr-CA"
+   */
+  static intl_locale(locale) {
+    const loc = locale || Core.locale;
+
+    return Core.intl_locales[loc] ?? loc;
+  }
+
+  /**
+   * @static
+   * @method parse_date
+   * @description Parses the date formats returned by feature services:
+   * epoch milliseconds (number or string of 10 digits or more), date-only
+   * strings (YYYY-MM-DD, compact YYYYMMDD or a YYYY year, read as local
+   * midnight), "YYYY-MM-DD HH:mm:ss" and ISO 8601 timestamps with or without
+   * offset. Other digit-only strings are invalid.
+   * @param {string|number|Date} value - Value to parse.
+   * @returns {Date|null} Parsed date or null if invalid.
+   * @example
+   * Core.parse_date(1673740800000); // Date
+   * Core.parse_date("2023-01-15"); // January 15, 2023 at 00:00 local time
+   * Core.parse_date("2023"); // January 1, 2023 at 00:00 local time
+   */
+  static parse_date(value) {
+    if (value == null || value === "") return null;
+
+    let date;
+
+    if (value instanceof Date) date = new Date(value.getTime());
+
+    else if (typeof value == "number" || /^-?\d{10,}$/.test(value)) date = new Date(Number(value));
+
+    else {
+      const str = String(value).trim();
+
+      const compact = /^(\d{4})(?:(\d{2})(\d{2}))?$/.exec(str);
+
+      const m = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?$/.exec(str);
+
+      // Year fields and compact dates are shorter than any epoch of interest
+      if (compact) date = new Date(compact[1], (compact[2] ?? 1) - 1, compact[3] ?? 1);
+
+      else if (/^-?\d+$/.test(str)) return null;
+
+      // Date-only and offset-less values are local times, Date() reads date-only strings as UTC
+      else if (m) date = new Date(m[1], m[2] - 1, m[3], m[4] ?? 0, m[5] ?? 0, m[6] ?? 0, (m[7] ?? "0").padEnd(3, "0").slice(0, 3));
+
+      else date = new Date(str);
+    }
+
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * @static
+   * @method #intl_options
+   * @private
+   * @description Expands a style name into Intl.DateTimeFormat options.
+   * @param {string|object|undefined} options - "short", "medium", "long",
+   * "full" or Intl.DateTimeFormat options.
+   * @param {string} key - "dateStyle" or "timeStyle".
+   * @param {string} style - Default style.
+   * @returns {object} Intl.DateTimeFormat options.
+   */
+  static #intl_options(options, key, style) {
+    if (typeof options == "object") return options;
+
+    return { [key]: options ?? style };
+  }
+
+  /**
+   * @static
+   * @method format_date
+   * @description Formats the date part of a date.
+   * @param {string|number|Date} value - Date, see parse_date().
+   * @param {string|object} [options="medium"] - Style name or
+   * Intl.DateTimeFormat options (e.g., { timeZone: "UTC" }).
+   * @param {string} [locale] - Locale to use (defaults to Core.locale).
+   * @returns {string|null} Formatted date or null if invalid.
+   * @example
+   * Core.format_date("2023-01-15", "long", "fr"); // "15 janvier 2023"
+   */
+  static format_date(value, options, locale) {
+    const date = Core.parse_date(value);
+
+    if (!date) return null;
+
+    return new Intl.DateTimeFormat(Core.intl_locale(locale), Core.#intl_options(options, "dateStyle", "medium")).format(date);
+  }
+
+  /**
+   * @static
+   * @method format_time
+   * @description Formats the time part of a date.
+   * @param {string|number|Date} value - Date, see parse_date().
+   * @param {string|object} [options="short"] - Style name or
+   * Intl.DateTimeFormat options.
+   * @param {string} [locale] - Locale to use (defaults to Core.locale).
+   * @returns {string|null} Formatted time or null if invalid.
+   * @example
+   * Core.format_time("2023-01-15 14:30:00", "short", "fr"); // "14 h 30"
+   */
+  static format_time(value, options, locale) {
+    const date = Core.parse_date(value);
+
+    if (!date) return null;
+
+    return new Intl.DateTimeFormat(Core.intl_locale(locale), Core.#intl_options(options, "timeStyle", "short")).format(date);
+  }
+
+  /**
+   * @static
+   * @method format_date_range
+   * @description Formats a range of dates, shared parts are written once.
+   * @param {string|number|Date} start - Start date, see parse_date().
+   * @param {string|number|Date} end - End date, see parse_date().
+   * @param {string|object} [options="medium"] - Style name or
+   * Intl.DateTimeFormat options.
+   * @param {string} [locale] - Locale to use (defaults to Core.locale).
+   * @returns {string|null} Formatted range or null if a date is invalid.
+   * @example
+   * Core.format_date_range("2023-01-15", "2023-01-20", "long", "en"); // "January 15–20, 2023"
+   */
+  static format_date_range(start, end, options, locale) {
+    const from = Core.parse_date(start);
+
+    const to = Core.parse_date(end);
+
+    if (!from || !to) return null;
+
+    return new Intl.DateTimeFormat(Core.intl_locale(locale), Core.#intl_options(options, "dateStyle", "medium")).formatRange(from, to);
+  }
+
+  /**
+   * @static
+   * @method format_relative
+   * @description Formats the time between a date and now (or another date)
+   * in the largest fitting unit, from seconds to years.
+   * @param {string|number|Date} value - Date, see parse_date().
+   * @param {string|number|Date} [base] - Reference date (defaults to now).
+   * @param {string} [locale] - Locale to use (defaults to Core.locale).
+   * @returns {string|null} Relative time or null if invalid.
+   * @example
+   * Core.format_relative(Date.now() - 3 * 86400000, null, "en"); // "3 days ago"
+   * Core.format_relative(Date.now() - 3 * 86400000, null, "fr"); // "il y a 3 jours"
+   */
+  static format_relative(value, base, locale) {
+    const date = Core.parse_date(value);
+
+    const from = base == null ? new Date() : Core.parse_date(base);
+
+    if (!date || !from) return null;
+
+    const units = [["year", 31536000], ["month", 2592000], ["week", 604800], ["day", 86400], ["hour", 3600], ["minute", 60], ["second", 1]];
+
+    const seconds = (date.getTime() - from.getTime()) / 1000;
+
+    const [unit, size] = units.find(u => Math.abs(seconds) >= u[1]) ?? units[units.length - 1];
+
+    const format = new Intl.RelativeTimeFormat(Core.intl_locale(locale), { numeric: "auto" });
 
-    let [year, month, day] = dateString.split('-');
+    return format.format(Math.round(seconds / size), unit);
+  }
+
+  /**
+   * @static
+   * @method format_currency
+   * @description Formats an amount of money.
+   * @param {number} value - Amount.
+   * @param {string} [currency="CAD"] - ISO 4217 currency code.
+   * @param {string} [locale] - Locale to use (defaults to Core.locale).
+   * @returns {string|null} Formatted amount or null if invalid.
+   * @example
+   * Core.format_currency(1234.5, "CAD", "en"); // "$1,234.50"
+   * Core.format_currency(1234.5, "CAD", "fr"); // "1 234,50 $"
+   */
+  static format_currency(value, currency, locale) {
+    if (value == null || isNaN(value)) return null;
+
+    const format = new Intl.NumberFormat(Core.intl_locale(locale), { style: "currency", currency: currency ?? "CAD" });
+
+    return format.format(value);
+  }
+
+  /**
+   * @static
+   * @method Defer
+   * @description Makes a promise resolved or rejected from the outside.
+   * Resolve and Reject don't depend on "this", they can be passed as
+   * callbacks.
+   * @returns {object} Deferred ({ promise, Resolve, Reject }).
+   * @example
+   * const d = Core.Defer();
+   * xhr.onload = () => d.Resolve(xhr.response);
+   * return d.promise;
+   */
+  static Defer() {
+    const deferred = {};
+
+    deferred.promise = new Promise((resolve, reject) => {
+      deferred.Resolve = resolve;
+
+      deferred.Reject = reject;
+    });
+
+    return deferred;
+  }
+
+  /**
+   * @static
+   * @method wait
+   * @description Waits for a delay, rejects early if the signal aborts.
+   * @param {number} ms - Delay in milliseconds.
+   * @param {AbortSignal} [signal] - Signal canceling the wait.
+   * @returns {Promise<void>} Resolves after the delay.
+   * @example
+   * await Core.wait(500, token.signal);
+   */
+  static wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(signal.reason);
+
+      const on_abort = () => {
+        clearTimeout(timeout);
+
+        reject(signal.reason);
+      };
+
+      const timeout = setTimeout(() => {
+        signal?.removeEventListener("abort", on_abort);
+
+        resolve();
+      }, ms);
+
+      signal?.addEventListener("abort", on_abort, { once: true });
+    });
+  }
+
+  /**
+   * @static
+   * @method with_timeout
+   * @description Rejects with a "TimeoutError" if a promise doesn't settle
+   * in time. The promise itself is not canceled, pass it a signal for that.
+   * @param {Promise} promise - Promise to wait for.
+   * @param {number} ms - Timeout in milliseconds.
+   * @param {string} [message] - Message of the timeout error.
+   * @returns {Promise<*>} Settles like the promise, or rejects on timeout.
+   * @example
+   * const data = await Core.with_timeout(Net.json_from_url(url), 10000);
+   */
+  static with_timeout(promise, ms, message) {
+    let timeout;
+
+    const timer = new Promise((_, reject) => {
+      timeout = setTimeout(() => {
+        const error = new Error(message ?? `Operation timed out after ${ms} ms.`);
+
+        error.name = "TimeoutError";
+
+        reject(error);
+      }, ms);
+    });
+
+    return Promise.race([promise, timer]).finally(() => clearTimeout(timeout));
+  }
 
-    return `${day}-${month}-${year}`;
+  /**
+   * @static
+   * @method retry
+   * @description Calls an async function until it succeeds, waiting longer
+   * between each attempt. The delay before retry n is
+   * delay * factor^(n - 1), capped at max_delay, then reduced by up to
+   * jitter * delay at random so clients don't retry all at once.
+   * @param {Function} fn - Async function, receives the attempt number.
+   * @param {object} [options] - Retry options.
+   * @param {number} [options.attempts=3] - Maximum number of attempts.
+   * @param {number} [options.delay=1000] - Delay before the first retry, in ms.
+   * @param {number} [options.factor=2] - Delay multiplier between retries.
+   * @param {number} [options.max_delay=30000] - Maximum delay, in ms.
+   * @param {number} [options.jitter=0] - Random part of the delay, 0 to 1.
+   * @param {AbortSignal} [options.signal] - Signal stopping the retries.
+   * @param {Function} [options.should_retry] - Receives (error, attempt),
+   * returns false to give up right away.
+   * @param {Function} [options.on_retry] - Called with (error, attempt,
+   * delay) before waiting for a retry.
+   * @returns {Promise<*>} Value of the first successful attempt.
+   * @throws {*} Error of the last attempt, or the abort reason.
+   * @example
+   * const data = await Core.retry(() => Net.json_from_url(url), { attempts: 5, jitter: 0.5 });
+   */
+  static async retry(fn, options) {
+    const o = Core.mixin({ attempts: 3, delay: 1000, factor: 2, max_delay: 30000, jitter: 0 }, options);
+
+    for (let attempt = 1; ; attempt++) {
+      o.signal?.throwIfAborted();
+
+      try {
+        return await fn(attempt);
+      } catch (error) {
+        if (attempt >= o.attempts || o.signal?.aborted) throw error;
+
+        if (o.should_retry && !o.should_retry(error, attempt)) throw error;
+
+        const capped = Math.min(o.delay * o.factor ** (attempt - 1), o.max_delay);
+
+        const delay = Math.round(capped * (1 - o.jitter * Math.random()));
+
+        o.on_retry?.(error, attempt, delay);
+
+        await Core.wait(delay, o.signal);
+      }
+    }
+  }
+
+  /**
+   * @static
+   * @method map_limit
+   * @description Maps items with an async function, running at most a
+   * given number of calls at once. Stops starting new calls after a
+   * failure or when the signal aborts.
+   * @param {Iterable} items - Items to map.
+   * @param {number} limit - Maximum number of concurrent calls.
+   * @param {Function} fn - Async function, receives (item, index).
+   * @param {AbortSignal} [signal] - Signal stopping the mapping.
+   * @returns {Promise<Array>} Results, in the order of the items.
+   * @throws {*} First error, or the abort reason.
+   * @example
+   * const layers = await Core.map_limit(urls, 4, url => Net.json_from_url(url));
+   */
+  static async map_limit(items, limit, fn, signal) {
+    const list = Array.from(items);
+
+    const results = new Array(list.length);
+
+    let next = 0;
+
+    let failed = false;
+
+    const worker = async () => {
+      while (next < list.length && !failed) {
+        signal?.throwIfAborted();
+
+        const i = next++;
+
+        try {
+          results[i] = await fn(list[i], i);
+        } catch (error) {
+          failed = true;
+
+          throw error;
+        }
+      }
+    };
+
+    const count = Math.min(Math.max(1, limit), list.length);
+
+    await Promise.all(Array.from({ length: count }, worker));
+
+    return results;
+  }
+
+  /**
+   * @static
+   * @method cancel_token
+   * @description Makes a cancellation token around an AbortController. The
+   * token is canceled when one of the parent signals aborts, so tokens can
+   * be chained (e.g., a request canceled by its component or a timeout).
+   * @param {...AbortSignal} parents - Signals canceling the token.
+   * @returns {object} Token ({ signal, canceled, reason, cancel(reason),
+   * throw_if_canceled() }).
+   * @example
+   * const token = Core.cancel_token(this.subscriptions.signal, AbortSignal.timeout(10000));
+   * fetch(url, { signal: token.signal });
+   * token.cancel(); // Aborts the request
+   */
+  static cancel_token(...parents) {
+    const controller = new AbortController();
+
+    parents.filter(p => p).forEach(p => {
+      if (p.aborted) controller.abort(p.reason);
+
+      else p.addEventListener("abort", () => controller.abort(p.reason), { once: true, signal: controller.signal });
+    });
+
+    return {
+      signal: controller.signal,
+      get canceled() { return controller.signal.aborted; },
+      get reason() { return controller.signal.reason; },
+      cancel: (reason) => controller.abort(reason),
+      throw_if_canceled: () => controller.signal.throwIfAborted()
+    };
   }
 }
\ No newline at end of file
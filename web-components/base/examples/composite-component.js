@@ -70,7 +70,7 @@ export default class CompositeComponent extends WebComponent {
    * this.sayHi({ detail: { alias: "potato" } }); // Alerts "Hello Alice..."
    */
   sayHi(ev) {
-    alert(this.nls.get("test_hi", [this.alias, ev.alias]));
+    alert(this.nls.get_text("test_hi", [this.alias, ev.alias]));
   }
 
   /**
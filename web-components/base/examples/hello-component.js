@@ -43,7 +43,7 @@ export default class HelloComponent extends WebComponent {
     this.alias = this.getAttribute("alias") || "potato";
 
     // Update greeting with localized string
-    this.elems.innerDiv.textContent = this.nls.get("hi", [this.alias]);
+    this.elems.innerDiv.textContent = this.nls.get_text("hi", [this.alias]);
 
     // Add click event to emit "button-click"
     this.elems.button.addEventListener("click", () => {
@@ -52,6 +52,15 @@ export default class HelloComponent extends WebComponent {
     });
   }
 
+  /**
+   * @method on_locale_change
+   * @description Translates the greeting again, the button is translated
+   * by the template.
+   */
+  on_locale_change() {
+    this.elems.innerDiv.textContent = this.nls.get_text("hi", [this.alias]);
+  }
+
   /**
    * @method sayHello
    * @description Shows alert with localized greeting using alias.
@@ -60,7 +69,7 @@ export default class HelloComponent extends WebComponent {
    * this.sayHello(); // Alerts: "Alice says hello"
    */
   sayHello() {
-    alert(this.nls.get("say_hello", [this.alias]));
+    alert(this.nls.get_text("say_hello", [this.alias]));
   }
 
   /**
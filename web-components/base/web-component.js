@@ -1,11 +1,16 @@
 import Nls from "../../components/nls.js";
+import Subscription from "../../components/subscription.js";
+import SubscriptionGroup from "../../components/subscription-group.js";
 import Core from "../../tools/core.js";
 
 /**
  * @class WebComponent
  * @extends HTMLElement
  * @description Base class for custom web components. Manages template
- * rendering, localization, named nodes, and custom events.
+ * rendering, localization, named nodes, custom events and the subscriptions
+ * released when the component is removed from the page. The nls() tokens of
+ * the template are resolved at render and again when Core.set_locale()
+ * changes the locale.
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Web_components}
  */
 export default class WebComponent extends HTMLElement {
@@ -37,6 +42,28 @@ export default class WebComponent extends HTMLElement {
    */
   #namedNodesReady;
 
+  /**
+   * @private
+   * @type {SubscriptionGroup}
+   * @description Subscriptions released when the component is disconnected.
+   */
+  #subscriptions;
+
+  /**
+   * @private
+   * @type {Promise|null}
+   * @description Pending load of the translation bundle, null once loaded.
+   */
+  #localized;
+
+  /**
+   * @private
+   * @type {object[]}
+   * @description Rendered text nodes and attributes with nls() tokens, with
+   * their source and the value last applied.
+   */
+  #nls_bindings;
+
   /**
    * @getter
    * @returns {Object.<string, HTMLElement>} Named elements.
@@ -65,6 +92,42 @@ export default class WebComponent extends HTMLElement {
    */
   get namedNodesReady() { return this.#namedNodesReady; }
 
+  /**
+   * @getter
+   * @returns {SubscriptionGroup} Subscriptions released on disconnect.
+   * @description Add listeners on the map, a shared State or other objects
+   * outliving the component so they are removed with it.
+   * @example
+   * this.subscriptions.add(state.on("change", ev => this.update(ev)));
+   * window.addEventListener("resize", fn, { signal: this.subscriptions.signal });
+   */
+  get subscriptions() { return this.#subscriptions; }
+
+  /**
+   * @getter
+   * @returns {Promise<void>} Resolves once the translation bundle is loaded
+   * and the template is made.
+   */
+  get localized() { return this.#localized ?? Promise.resolve(); }
+
+  /**
+   * @static
+   * @type {object|null}
+   * @description Tracer recording every emitted event, see Tracer.start().
+   */
+  static tracer = null;
+
+  /**
+   * @static
+   * @type {string|Function|null}
+   * @description JSON translation bundle merged over the strings of
+   * localize(), see Nls.load(). The template is made and the component
+   * rendered once it has loaded.
+   * @example
+   * static bundle = "nls/w-home.{locale}.json";
+   */
+  static bundle = null;
+
   /**
    * @static
    * @getter
@@ -86,44 +149,180 @@ export default class WebComponent extends HTMLElement {
 
     this.#elems = {};
     this.#namedNodesReady = false;
+    this.#subscriptions = new SubscriptionGroup();
+    this.#nls_bindings = [];
 
     this.#nls = new Nls();
     this.localize(this.nls);
 
+    this.#localized = this.constructor.bundle ? this.#load_bundle() : null;
+
     this.#template = this.makeTemplate();
   }
 
+  /**
+   * @method #load_bundle
+   * @private
+   * @description Loads the translation bundle of the current locale, then
+   * renders the component if it was connected in the meantime. The strings
+   * of localize() are used if the bundle fails to load.
+   * @returns {Promise<void>} Resolves once the bundle is merged.
+   */
+  async #load_bundle() {
+    try {
+      await this.nls.load(this.constructor.bundle);
+    } catch (error) {
+      console.error(error);
+    }
+
+    this.#localized = null;
+
+    if (this.isConnected) this.connectedCallback();
+  }
+
   /**
    * @method makeTemplate
-   * @description Creates template from html(), replacing nls() with translations.
-   * @returns {HTMLTemplateElement} Processed template element.
+   * @description Creates template from html(). The nls() tokens are kept,
+   * render() replaces them with the translations of the current locale.
+   * @returns {HTMLTemplateElement} Template element.
    * @example
-   * // html() returns "<div>nls(welcome)</div>", nls.get("welcome") = "Hello"
-   * const template = this.makeTemplate(); // <div>Hello</div>
+   * // html() returns "<div>nls(welcome)</div>"
+   * const template = this.makeTemplate(); // <div>nls(welcome)</div>
    */
   makeTemplate() {
     const template = document.createElement("template");
 
-    const html = this.html().replace(/nls\((.*?)\)/g,
-      (_, match) => this.nls.get(match));
-
-    template.innerHTML = html;
+    template.innerHTML = this.html();
 
     return template;
   }
 
+  /**
+   * @method translate
+   * @description Replaces the nls() tokens of a string with translations.
+   * @param {string} str - String with nls() tokens.
+   * @returns {string} Translated string.
+   * @example
+   * // nls.get("welcome") = "Hello"
+   * this.translate("nls(welcome), Alice"); // "Hello, Alice"
+   */
+  translate(str) {
+    return str.replace(/nls\((.*?)\)/g, (_, match) => this.nls.get(match));
+  }
+
+  /**
+   * @method #bind_nls
+   * @private
+   * @description Translates the text nodes and attributes of rendered
+   * content and records those with nls() tokens, so they can be translated
+   * again when the locale changes.
+   * @param {Node} root - Rendered content.
+   */
+  #bind_nls(root) {
+    this.#nls_bindings = [];
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (node.nodeType == Node.TEXT_NODE) this.#bind_value(node, null, node.nodeValue);
+
+      else Array.from(node.attributes).forEach(a => this.#bind_value(node, a.name, a.value));
+    }
+  }
+
+  /**
+   * @method #bind_value
+   * @private
+   * @description Translates a text node or an attribute and records it if
+   * it has nls() tokens.
+   * @param {Node} node - Text node or element.
+   * @param {string|null} name - Attribute name, null for a text node.
+   * @param {string} source - Value with nls() tokens.
+   */
+  #bind_value(node, name, source) {
+    if (!source.includes("nls(")) return;
+
+    const binding = { node: node, name: name, source: source, value: null };
+
+    this.#nls_bindings.push(binding);
+
+    this.#apply_binding(binding);
+  }
+
+  /**
+   * @method #apply_binding
+   * @private
+   * @description Writes the translation of a binding.
+   * @param {object} binding - Binding ({ node, name, source, value }).
+   */
+  #apply_binding(binding) {
+    binding.value = this.translate(binding.source);
+
+    if (binding.name) binding.node.setAttribute(binding.name, binding.value);
+
+    else binding.node.nodeValue = binding.value;
+  }
+
+  /**
+   * @method relocalize
+   * @description Translates the rendered text and attributes again with the
+   * current locale, without rendering. Text or attributes changed since the
+   * render are left to on_locale_change().
+   * @example
+   * Core.locale = "fr";
+   * this.relocalize();
+   */
+  relocalize() {
+    this.#nls_bindings = this.#nls_bindings.filter(b => this.contains(b.node));
+
+    this.#nls_bindings.forEach(b => {
+      const current = b.name ? b.node.getAttribute(b.name) : b.node.nodeValue;
+
+      if (current === b.value) this.#apply_binding(b);
+    });
+  }
+
+  /**
+   * @method #on_document_locale_change
+   * @private
+   * @description Loads the translation bundle of the new locale, if any,
+   * then re-localizes the component.
+   * @param {CustomEvent} ev - "locale-change" event.
+   */
+  async #on_document_locale_change(ev) {
+    if (this.constructor.bundle) {
+      try {
+        await this.nls.load(this.constructor.bundle, ev.detail.locale);
+      } catch (error) {
+        console.error(error);
+      }
+    }
+
+    if (!this.isConnected || ev.detail.locale != Core.locale) return;
+
+    this.relocalize();
+
+    this.on_locale_change(ev.detail.locale, ev.detail.old_locale);
+  }
+
   /**
    * @method connectedCallback
    * @description Called when element is added to DOM. Renders template,
-   * sets named nodes, and initializes component.
+   * sets named nodes, and initializes component. Waits for the translation
+   * bundle, if any.
    */
   connectedCallback() {
+    // Rendered by #load_bundle once the translations are available
+    if (this.#localized) return;
+
     this.#namedNodesReady = false;
 
     this.render();
 
     this.setNamedNodes();
 
+    document.addEventListener("locale-change", ev => this.#on_document_locale_change(ev), { signal: this.subscriptions.signal });
+
     this.initialize();
   }
 
@@ -138,6 +337,8 @@ export default class WebComponent extends HTMLElement {
     // Clone template content into the component
     const clone = this.template.content.cloneNode(true);
 
+    this.#bind_nls(clone);
+
     this.appendChild(clone);
 
     this.classList.add("custom-component");
@@ -199,10 +400,11 @@ export default class WebComponent extends HTMLElement {
   /**
    * @method disconnectedCallback
    * @description Called each time the element is removed from the document.
+   * Releases the subscriptions, subclasses overriding it must call super.
    */
-    disconnectedCallback(){
-     
-    }
+  disconnectedCallback() {
+    this.subscriptions.dispose();
+  }
 
   /**
    * @method processAttributeChange
@@ -231,6 +433,22 @@ export default class WebComponent extends HTMLElement {
     // Subclasses should override this method for initialization logic
   }
 
+  /**
+   * @method on_locale_change
+   * @description Placeholder for subclasses to update the text they set
+   * themselves (e.g., with nls.get()) when the locale changes. The nls()
+   * tokens of the template are already translated when it is called.
+   * @param {string} locale - New locale.
+   * @param {string} old_locale - Previous locale.
+   * @example
+   * on_locale_change(locale) {
+   *   this.elems.label.textContent = this.nls.get_text("hi", [this.alias]);
+   * }
+   */
+  on_locale_change(locale, old_locale) {
+    // Subclasses should override this method to update dynamic text
+  }
+
   /**
    * @method html
    * @description Placeholder for subclasses to define HTML structure.
@@ -258,11 +476,18 @@ export default class WebComponent extends HTMLElement {
    * @description Attaches event listener for specified event.
    * @param {string} name - Event name to listen for.
    * @param {EventListener} callback - Function to handle event.
+   * @param {Object} [options] - addEventListener options (signal, once, capture).
+   * @returns {Subscription} Subscription, dispose it to remove the listener.
    * @example
    * this.on("customEvent", event => console.log(event.detail));
+   * widget.on("busy", fn, { signal: this.subscriptions.signal });
    */
-  on(name, callback) {
-    this.addEventListener(name, callback);
+  on(name, callback, options) {
+    this.addEventListener(name, callback, options);
+
+    const subscription = new Subscription(() => this.removeEventListener(name, callback, options));
+
+    return subscription.dispose_on(options?.signal);
   }
 
   /**
@@ -270,15 +495,26 @@ export default class WebComponent extends HTMLElement {
    * @description Dispatches custom event with optional data.
    * @param {string} name - Custom event name.
    * @param {Object} [data={}] - Event data (detail, bubbles, cancelable).
+   * @returns {CustomEvent} Dispatched event, check defaultPrevented to know
+   * if a listener vetoed it.
    * @example
    * this.emit("myEvent", { detail: { value: 42 }, bubbles: true });
+   * if (this.emit("closing", { cancelable: true }).defaultPrevented) return;
    */
   emit(name, data = {}) {
-    let event = new CustomEvent(name, { detail: data });
+    // bubbles, cancelable and composed are read-only on events, they must go through the constructor
+    const { bubbles, cancelable, composed, ...properties } = data;
 
-    event = Core.mixin(event, data);
+    let event = new CustomEvent(name, { detail: data, bubbles: !!bubbles, cancelable: !!cancelable, composed: !!composed });
+
+    event = Core.mixin(event, properties);
+
+    // DOM listeners can't be enumerated, the tracer only gets the event
+    WebComponent.tracer?.record(this, event, null, null);
 
     this.dispatchEvent(event);
+
+    return event;
   }
 
   /**
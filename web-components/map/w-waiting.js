@@ -58,6 +58,15 @@ export default class wWaiting extends WebComponent {
     widgets.forEach(w => this.handle_widget(w));
   }
 
+  /**
+   * @method on_locale_change
+   * @description Translates the default message again, messages sent by
+   * widgets are kept.
+   */
+  on_locale_change() {
+    this.elems.label.innerHTML = this.waiting_list.last?.message ?? this.nls.get("waiting_label");
+  }
+
   /**
    * @method show
    * @description Shows the waiting widget by removing hidden class.
@@ -495,12 +495,19 @@ export default class Select extends WebComponent {
   /**
    * @method on_li_click_handler
    * @description Updates selection and emits change event on item click.
+   * A cancelable "select-changing" event is emitted first, listeners can
+   * call preventDefault() on it to keep the current selection.
    * @param {object} item - Selected item.
    * @param {Event} ev - Click event.
    */
   on_li_click_handler(item, ev) {
     if (ev != undefined) ev.preventDefault();
     const current = this.item;
+    if (item !== current && this.emit("select-changing", { item: item.data, cancelable: true }).defaultPrevented) {
+      this.reset();
+      this.close_dropdown();
+      return;
+    }
     this.item = item;
     this.reset();
     this.close_dropdown();
@@ -26,6 +26,20 @@ export default class Typeahead extends Select {
    */
   #handle_min_characters;
 
+  /**
+   * @private
+   * @type {number}
+   * @description Delay between the last keystroke and the search, in ms.
+   */
+  #input_delay = 350;
+
+  /**
+   * @private
+   * @type {Function|null}
+   * @description Debounced input handler, canceled on disconnect.
+   */
+  #debounced_input = null;
+
   /**
    * @getter
    * @returns {object[]} Data store for typeahead items.
@@ -63,6 +77,19 @@ export default class Typeahead extends Select {
    */
   set handle_min_characters(value) { this.#handle_min_characters = value; }
 
+  /**
+   * @getter
+   * @returns {number} Delay between the last keystroke and the search, in ms.
+   */
+  get input_delay() { return this.#input_delay; }
+
+  /**
+   * @setter
+   * @param {number} value - Delay between the last keystroke and the
+   * search, in ms. Applies from the next connection.
+   */
+  set input_delay(value) { this.#input_delay = value; }
+
   /**
    * @constructor
    * @description Initializes the typeahead component.
@@ -84,8 +111,18 @@ export default class Typeahead extends Select {
     this.handle_min_characters = true;
     this.elems.input.readOnly = false;
     Dom.add_css(this, "typeahead");
-    const handler = ev => this.on_input_input_handler(ev);
-    this.elems.input.addEventListener("input", Core.debounce(handler, 350));
+    this.#debounced_input = Core.debounce(ev => this.on_input_input_handler(ev), this.input_delay);
+    this.elems.input.addEventListener("input", this.#debounced_input);
+  }
+
+  /**
+   * @method disconnectedCallback
+   * @description Cancels the pending search so it doesn't run after the
+   * component is removed.
+   */
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.#debounced_input?.cancel();
   }
 
   /**